@@ -47,6 +47,9 @@ class CartDrawer extends HTMLElement {
     );
 
     document.body.classList.add('overflow-hidden');
+
+    const cartItems = this.querySelector('cart-drawer-items');
+    if (cartItems) cartItems.checkConfigurationLines();
   }
 
   close() {
@@ -12,6 +12,20 @@ class CartRemoveButton extends HTMLElement {
 
 customElements.define('cart-remove-button', CartRemoveButton);
 
+class CartConfigurationRemoveButton extends HTMLElement {
+  constructor() {
+    super();
+
+    this.addEventListener('click', (event) => {
+      event.preventDefault();
+      const cartItems = this.closest('cart-items') || this.closest('cart-drawer-items');
+      cartItems.updateLines(Object.fromEntries(this.dataset.keys.split(',').map((key) => [key, 0])));
+    });
+  }
+}
+
+customElements.define('cart-configuration-remove-button', CartConfigurationRemoveButton);
+
 class CartItems extends HTMLElement {
   constructor() {
     super();
@@ -23,10 +37,30 @@ class CartItems extends HTMLElement {
     }, ON_CHANGE_DEBOUNCE_TIMER);
 
     this.addEventListener('change', debouncedOnChange.bind(this));
+
+    this.addEventListener('click', (event) => {
+      const toggle = event.target.closest('.cart-configuration__toggle');
+      if (toggle) this.toggleConfiguration(toggle);
+    });
   }
 
   cartUpdateUnsubscriber = undefined;
 
+  // Configuration IDs the customer collapsed; re-applied after the sections are re-rendered
+  static collapsedConfigurations = new Set();
+
+  // Screens ("configuration ID/screen ID") re-snapped successfully; each is re-snapped automatically only once,
+  // so a replacement that still doesn't match the rules can't cause an update loop
+  static resnappedScreens = new Set();
+
+  static getScreenKey(check) {
+    const properties = check.items[0].properties;
+    return `${properties['_Configuration ID']}/${properties['_Screen ID']}`;
+  }
+
+  // Orphaned configurator lines already sent for removal
+  static removedOrphans = new Set();
+
   connectedCallback() {
     this.cartUpdateUnsubscriber = subscribe(PUB_SUB_EVENTS.cartUpdate, (event) => {
       if (event.source === 'cart-items') {
@@ -34,6 +68,9 @@ class CartItems extends HTMLElement {
       }
       return this.onCartUpdate();
     });
+    this.restoreCollapsedConfigurations();
+    // The drawer is rendered on every page; it checks when it opens (CartDrawer.open)
+    if (this.tagName === 'CART-ITEMS') this.checkConfigurationLines();
   }
 
   disconnectedCallback() {
@@ -101,6 +138,7 @@ class CartItems extends HTMLElement {
               targetElement.replaceWith(sourceElement);
             }
           }
+          this.restoreCollapsedConfigurations();
         })
         .catch((e) => {
           console.error(e);
@@ -112,6 +150,8 @@ class CartItems extends HTMLElement {
           const html = new DOMParser().parseFromString(responseText, 'text/html');
           const sourceQty = html.querySelector('cart-items');
           this.innerHTML = sourceQty.innerHTML;
+          this.restoreCollapsedConfigurations();
+          this.checkConfigurationLines();
         })
         .catch((e) => {
           console.error(e);
@@ -145,6 +185,9 @@ class CartItems extends HTMLElement {
   }
 
   updateQuantity(line, quantity, event, name, variantId) {
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    if (lineItem && lineItem.hasAttribute('data-configured-screen')) return this.updateConfiguredScreen(line, quantity);
+
     const eventTarget = event.currentTarget instanceof CartRemoveButton ? 'clear' : 'change';
     const cartPerformanceUpdateMarker = CartPerformance.createStartingMarker(`${eventTarget}:user-action`);
 
@@ -175,22 +218,8 @@ class CartItems extends HTMLElement {
             return;
           }
 
-          this.classList.toggle('is-empty', parsedState.item_count === 0);
           const cartDrawerWrapper = document.querySelector('cart-drawer');
-          const cartFooter = document.getElementById('main-cart-footer');
-
-          if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
-          if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
-
-          this.getSectionsToRender().forEach((section) => {
-            const elementToReplace =
-              document.getElementById(section.id).querySelector(section.selector) ||
-              document.getElementById(section.id);
-            elementToReplace.innerHTML = this.getSectionInnerHTML(
-              parsedState.sections[section.section],
-              section.selector
-            );
-          });
+          this.renderSections(parsedState);
           const updatedValue = parsedState.items[line - 1] ? parsedState.items[line - 1].quantity : undefined;
           let message = '';
           if (items.length === parsedState.items.length && updatedValue !== parseInt(quantityElement.value)) {
@@ -228,6 +257,253 @@ class CartItems extends HTMLElement {
       });
   }
 
+  renderSections(parsedState) {
+    this.classList.toggle('is-empty', parsedState.item_count === 0);
+    const cartDrawerWrapper = document.querySelector('cart-drawer');
+    const cartFooter = document.getElementById('main-cart-footer');
+
+    if (cartFooter) cartFooter.classList.toggle('is-empty', parsedState.item_count === 0);
+    if (cartDrawerWrapper) cartDrawerWrapper.classList.toggle('is-empty', parsedState.item_count === 0);
+
+    this.getSectionsToRender().forEach((section) => {
+      const elementToReplace =
+        document.getElementById(section.id).querySelector(section.selector) || document.getElementById(section.id);
+      elementToReplace.innerHTML = this.getSectionInnerHTML(parsedState.sections[section.section], section.selector);
+    });
+    this.restoreCollapsedConfigurations();
+    this.checkConfigurationLines(parsedState);
+  }
+
+  /**
+   * Sets several lines at once, keyed by line item key (e.g. { key: 0 } removes a line).
+   */
+  updateLines(updates, message = '') {
+    const mainCartItems = document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
+    mainCartItems.classList.add('cart__items--disabled');
+    this.lineItemStatusElement.setAttribute('aria-hidden', false);
+
+    const body = JSON.stringify({
+      updates,
+      sections: this.getSectionsToRender().map((section) => section.section),
+      sections_url: window.location.pathname,
+    });
+
+    return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((parsedState) => {
+        // Rejected updates come back with `errors`, or as a 422 with `status` and `description`
+        const error = parsedState.errors || (parsedState.status && (parsedState.description || parsedState.message));
+        if (!error) this.renderSections(parsedState);
+
+        // Looked up after rendering: the drawer re-renders its error container
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        if (errors) errors.textContent = error || message;
+        if (error) return;
+
+        this.updateLiveRegions(null, message);
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'cart-items', cartData: parsedState });
+      })
+      .catch(() => {
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        errors.textContent = window.cartStrings.error;
+      })
+      .finally(() => {
+        const updatedItems =
+          document.getElementById('main-cart-items') || document.getElementById('CartDrawer-CartItems');
+        if (updatedItems) updatedItems.classList.remove('cart__items--disabled');
+      });
+  }
+
+  /**
+   * Whether a cart line is a price increment carrier of a configured screen line.
+   */
+  isIncrementOf(item, screen) {
+    return (
+      item.properties &&
+      item.properties['_Price increment'] &&
+      item.properties['_Configuration ID'] === screen.properties['_Configuration ID'] &&
+      item.properties['_Screen ID'] == screen.properties['_Screen ID']
+    );
+  }
+
+  /**
+   * Sets the quantity of a configured screen line and scales its price increment carriers with it,
+   * so every unit is still charged its full price. Removing the screen removes its carriers.
+   */
+  updateConfiguredScreen(line, quantity) {
+    return fetch(`${routes.cart_url}.js`)
+      .then((response) => response.json())
+      .then((state) => {
+        const screen = state.items[line - 1];
+        const updates = { [screen.key]: quantity };
+        state.items
+          .filter((item) => this.isIncrementOf(item, screen))
+          .forEach((item) => (updates[item.key] = Math.round((item.quantity / screen.quantity) * quantity)));
+        return this.updateLines(updates);
+      })
+      .catch(() => {
+        const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+        if (errors) errors.textContent = window.cartStrings.error;
+      });
+  }
+
+  /**
+   * Runs when the cart page loads, when the drawer opens and after every cart change, whichever way it was made:
+   * removes orphaned configurator lines first, then checks the prices of the configured screens.
+   * @param {object} [cart] - cart state (/cart.js or a Cart API response); fetched when omitted
+   */
+  checkConfigurationLines(cart) {
+    if (!cart && !document.querySelector('.cart-configuration')) return;
+
+    const cartState = cart ? Promise.resolve(cart) : fetch(`${routes.cart_url}.js`).then((response) => response.json());
+    return cartState
+      .then((state) => {
+        // The removal re-renders the sections, which checks the prices again
+        if (this.removeOrphanedConfigurationLines(state)) return;
+        return this.checkConfiguredPrices(state);
+      })
+      .catch((e) => {
+        console.error(e);
+      });
+  }
+
+  /**
+   * Configurator lines only make sense next to their screens: price increments without their screen
+   * and an installation service without any screen of its configuration are removed.
+   * @returns {Promise|undefined} the removal, if there was anything to remove
+   */
+  removeOrphanedConfigurationLines(parsedState) {
+    const lines = (parsedState.items || []).filter((item) => item.properties && item.properties['_Configuration ID']);
+    const isScreen = (item) => item.properties['_Screen ID'] && !item.properties['_Price increment'];
+    const screens = lines.filter(isScreen);
+
+    const orphans = lines.filter((item) => {
+      // Tried once already; a line that can't be removed must not cause an update loop
+      if (CartItems.removedOrphans.has(item.key)) return false;
+      if (item.properties['_Price increment']) {
+        return !screens.some((screen) => this.isIncrementOf(item, screen));
+      }
+      if (item.properties['_Installation service']) {
+        return !screens.some((screen) => screen.properties['_Configuration ID'] === item.properties['_Configuration ID']);
+      }
+      return false;
+    });
+
+    if (orphans.length === 0) return;
+    orphans.forEach((item) => CartItems.removedOrphans.add(item.key));
+    return this.updateLines(
+      Object.fromEntries(orphans.map((item) => [item.key, 0])),
+      window.cartStrings.configurationAdjusted
+    );
+  }
+
+  /**
+   * Re-prices configured screens with the current rules (ScreenluxEngine.checkCartLine) and flags lines
+   * whose price variant changed since they were added. With the theme setting on, they are re-snapped right away.
+   * Needs ScreenluxEngine and ScreenluxData (snippets/screenlux-cart-check.liquid).
+   * @param {object} state - cart state with `items`
+   */
+  checkConfiguredPrices(state) {
+    if (!window.ScreenluxEngine || !window.ScreenluxData) return;
+
+    const staleLines = (state.items || [])
+      .map((item, index) => ({
+        line: index + 1,
+        check:
+          item.properties && item.properties._config
+            ? ScreenluxEngine.checkCartLine(item, state.items, ScreenluxData)
+            : null,
+      }))
+      .filter((entry) => entry.check);
+    if (staleLines.length === 0) return;
+
+    if (ScreenluxData.config.autoUpdateCartPrices) {
+      const pending = staleLines.filter((entry) => !CartItems.resnappedScreens.has(CartItems.getScreenKey(entry.check)));
+      if (pending.length > 0) return this.resnapConfiguredLines(pending);
+    }
+    staleLines.forEach((entry) => this.renderStalePrice(entry.line, entry.check));
+  }
+
+  renderStalePrice(line, check) {
+    const lineItem = document.getElementById(`CartItem-${line}`) || document.getElementById(`CartDrawer-Item-${line}`);
+    const details = lineItem && lineItem.querySelector('.cart-item__details');
+    if (!details || details.querySelector('.cart-item__stale-price')) return;
+
+    const money = (cents) => ScreenluxEngine.formatMoney(cents, ScreenluxData.config, 2);
+    const notice = document.createElement('div');
+    notice.className = 'cart-item__stale-price';
+    notice.setAttribute('role', 'status');
+    notice.innerHTML = `
+      <span>${window.cartStrings.priceChanged
+        .replace('[BEFORE]', money(check.cartPrice))
+        .replace('[AFTER]', money(check.price))}</span>
+      <button type="button" class="link cart-item__stale-price-button">${window.cartStrings.updatePrice}</button>
+    `;
+    notice.querySelector('button').addEventListener('click', () => this.resnapConfiguredLines([{ line, check }]));
+    details.appendChild(notice);
+  }
+
+  /**
+   * Swaps stale configured lines for their re-priced replacements. The old lines are removed first:
+   * Shopify merges an added line into an existing one with the same variant and properties, so removing
+   * them afterwards would take the replacement with them. If adding fails, the old lines are put back.
+   * @param {Array} staleLines - [{ line, check }] from checkConfiguredPrices
+   */
+  resnapConfiguredLines(staleLines) {
+    const checks = staleLines.map((entry) => entry.check);
+    const addItems = (items) =>
+      fetch(`${routes.cart_add_url}.js`, { ...fetchConfig(), ...{ body: JSON.stringify({ items }) } }).then((response) =>
+        response.json()
+      );
+    const showError = (message) => {
+      const errors = document.getElementById('cart-errors') || document.getElementById('CartDrawer-CartErrors');
+      if (errors) errors.textContent = message || window.cartStrings.error;
+    };
+
+    const body = JSON.stringify({ updates: Object.fromEntries(checks.flatMap((check) => check.keys).map((key) => [key, 0])) });
+    return fetch(`${routes.cart_update_url}`, { ...fetchConfig(), ...{ body } })
+      .then((response) => response.json())
+      .then((removed) => {
+        if (removed.errors || removed.status) return showError(removed.description || removed.errors);
+
+        return addItems(checks.flatMap((check) => check.items)).then((added) => {
+          if (added.status) {
+            // The lines are back under their old keys, so the rows and their notices stay valid
+            return addItems(checks.flatMap((check) => check.restoreItems)).then(() => {
+              showError(added.description);
+              staleLines.forEach((entry) => this.renderStalePrice(entry.line, entry.check));
+            });
+          }
+
+          checks.forEach((check) => CartItems.resnappedScreens.add(CartItems.getScreenKey(check)));
+          // Re-renders from the whole cart, not just the added lines
+          return this.updateLines({}, window.cartStrings.pricesUpdated);
+        });
+      })
+      .catch(() => showError());
+  }
+
+  toggleConfiguration(toggle) {
+    const group = toggle.closest('.cart-configuration');
+    const collapsed = !group.classList.contains('is-collapsed');
+    group.classList.toggle('is-collapsed', collapsed);
+    toggle.setAttribute('aria-expanded', !collapsed);
+
+    if (collapsed) {
+      CartItems.collapsedConfigurations.add(group.dataset.configurationId);
+    } else {
+      CartItems.collapsedConfigurations.delete(group.dataset.configurationId);
+    }
+  }
+
+  restoreCollapsedConfigurations() {
+    document.querySelectorAll('.cart-configuration').forEach((group) => {
+      if (!CartItems.collapsedConfigurations.has(group.dataset.configurationId)) return;
+      group.classList.add('is-collapsed');
+      group.querySelector('.cart-configuration__toggle').setAttribute('aria-expanded', false);
+    });
+  }
+
   updateLiveRegions(line, message) {
     const lineItemError =
       document.getElementById(`Line-item-error-${line}`) || document.getElementById(`CartDrawer-LineItemError-${line}`);
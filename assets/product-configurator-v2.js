@@ -1,5 +1,27 @@
 console.log('🚀 Product Configurator Script Executing...');
 
+// Autosaved drafts: localStorage for guests, app proxy (customer account) when logged in.
+// Proxy contract: GET DRAFT_PROXY_URL → { draft: { savedAt, code, screens, total, pricingVersion } | null }
+// POST DRAFT_PROXY_URL { draft } replaces the customer's draft. Without the proxy (404 or a non-JSON reply)
+// drafts stay in localStorage only.
+const DRAFT_STORAGE_KEY = 'screenlux_configurator_draft';
+const DRAFT_PROXY_URL = '/apps/configurator-drafts';
+
+// Undo/redo covers the order itself; view settings (VAT mode, notices) stay out of the history
+const HISTORY_FIELDS = ['screens', 'installationType', 'brackets', 'steuerung', 'automatisierung'];
+const HISTORY_LIMIT = 50;
+
+// Options a linked screen takes over from its master; dimensions stay independent
+const LINKED_FIELDS = ['frameColor', 'fabricColor', 'fabricType', 'cassetteSize', 'motor'];
+
+// Windows saved by the measure app (assets/app.measure-guide.js)
+const MEASUREMENTS_STORAGE_KEY = 'screenlux_measurements';
+const MEASUREMENTS_PROXY_URL = '/apps/measurements';
+
+// Named quotes saved to the customer account, listed on the account page (assets/saved-quotes.js).
+// The proxy identifies the customer by the `logged_in_customer_id` Shopify adds to app proxy requests.
+const QUOTES_PROXY_URL = '/apps/quotes';
+
 class ProductConfigurator extends HTMLElement {
   constructor() {
     super();
@@ -9,7 +31,10 @@ class ProductConfigurator extends HTMLElement {
       brackets: {}, // { prodId: qty }
       steuerung: {}, // { prodId: qty }
       automatisierung: {}, // { prodId: qty }
+      vatMode: 'gross', // 'gross' | 'net'
+      sizeTolerance: 20, // mm searched below each dimension for a cheaper price step
     };
+    this.history = { undo: [], redo: [] };
   }
 
   /* --- Slider Navigation Helpers --- */
@@ -340,12 +365,29 @@ class ProductConfigurator extends HTMLElement {
         throw new Error('ScreenluxData is undefined. Check console.');
       }
 
+      // Read before the first render replaces the fallback markup
+      const cartUrlInput = this.querySelector('input[name="cart-add-url"]');
+      this.cartAddUrl = cartUrlInput ? cartUrlInput.value : (window.routes && window.routes.cart_add_url) || '/cart/add';
+
       // 0. Base Validation Check - "Unsure" injection removed as requested
 
-      // 2. Initial State: 1 Screen (skip scroll on init)
-      this.handleAddScreen(true);
+      // 1.5 Trade customers (tagged in Shopify) see net prices by default
+      this.state.vatMode = this.data.config && this.data.config.tradeCustomer ? 'net' : 'gross';
+
+      // 2. Initial State: cart line being edited, shared configuration link, else 1 Screen (skip scroll on init)
+      const editKey = new URLSearchParams(window.location.search).get('edit');
+      if (editKey) {
+        // Set first: the placeholder screen must not be rendered or autosaved as a draft
+        this.state.editingLine = { key: editKey };
+        this.handleAddScreen(true);
+        this.loadCartLine(editKey);
+      } else if (!this.restoreSharedState()) {
+        this.loadDraft();
+        this.handleAddScreen(true);
+      }
 
       // 3. Initial Render
+      this.setupScreenEvents();
       this.render();
 
       // 4. Dispatch initial state for SVG configurator
@@ -374,6 +416,16 @@ class ProductConfigurator extends HTMLElement {
         if (this.updateStickyBar) this.updateStickyBar();
       });
 
+      // 8. Undo / redo shortcuts, only while focus is inside the configurator
+      this.addEventListener('keydown', this.handleHistoryKeys);
+
+      // 9. Back from the cart: the page comes out of the back/forward cache with the button still busy
+      window.addEventListener('pageshow', (e) => {
+        if (!e.persisted || !this.state.addingToCart) return;
+        this.state.addingToCart = false;
+        this.render();
+      });
+
     } catch (err) {
       console.error('Configurator Init Error:', err);
       this.innerHTML = `
@@ -386,6 +438,105 @@ class ProductConfigurator extends HTMLElement {
     }
   }
 
+  /* --- History --- */
+
+  snapshotState() {
+    const snapshot = {};
+    HISTORY_FIELDS.forEach((field) => (snapshot[field] = this.state[field]));
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Call before mutating the state; `label` names the change in undo/redo toasts.
+   */
+  recordHistory(label = '') {
+    this.history.undo.push({ label, snapshot: this.snapshotState() });
+    if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+    this.history.redo = [];
+    this.state.draftPaused = false;
+  }
+
+  undo = () => this.stepHistory(this.history.undo, this.history.redo, 'undone');
+
+  redo = () => this.stepHistory(this.history.redo, this.history.undo, 'redone');
+
+  stepHistory(from, to, messageKey) {
+    const entry = from.pop();
+    if (!entry) return;
+
+    to.push({ label: entry.label, snapshot: this.snapshotState() });
+    Object.assign(this.state, entry.snapshot);
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+
+    const t = window.ScreenluxTranslations.history || {};
+    const message = [t[messageKey] || (messageKey === 'undone' ? 'Undone' : 'Redone'), entry.label].filter(Boolean);
+    if (messageKey === 'undone') {
+      this.showToast(message.join(': '), t.redo || 'Redo', this.redo);
+    } else {
+      this.showToast(message.join(': '), t.undo || 'Undo', this.undo);
+    }
+  }
+
+  handleHistoryKeys = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    // Leave native undo to text fields
+    if (e.target.isContentEditable || e.target.closest('input, textarea, select')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      this.undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      this.redo();
+    }
+  };
+
+  /**
+   * Short notice with an optional action button. Lives outside the rendered app so re-renders keep it.
+   */
+  showToast(message, actionLabel, action) {
+    if (!this._toast) {
+      this._toast = document.createElement('div');
+      this._toast.className = 'sl-toast';
+      this._toast.setAttribute('role', 'status');
+      document.body.appendChild(this._toast);
+    }
+
+    this._toast.innerHTML = `
+      <span class="sl-toast__message"></span>
+      ${actionLabel ? `<button type="button" class="sl-toast__action">${actionLabel}</button>` : ''}
+    `;
+    this._toast.querySelector('.sl-toast__message').textContent = message;
+    if (actionLabel) {
+      this._toast.querySelector('.sl-toast__action').addEventListener('click', () => {
+        this.hideToast();
+        action();
+      });
+    }
+
+    this._toast.classList.add('is-visible');
+    clearTimeout(this._toastTimer);
+    this._toastTimer = setTimeout(() => this.hideToast(), 6000);
+  }
+
+  hideToast() {
+    if (this._toast) this._toast.classList.remove('is-visible');
+  }
+
+  getScreenLabel(index) {
+    const screen = this.state.screens[index];
+    if (screen && screen.reference) return screen.reference;
+    return `${window.ScreenluxTranslations.options.screenPrefix || 'Screen'} ${index + 1}`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
   /* --- State Modifiers --- */
 
   updateSVGConfigurator(screen) {
@@ -406,9 +557,10 @@ class ProductConfigurator extends HTMLElement {
     );
   }
 
-  handleAddScreen = (skipScroll = false) => {
-    const newId = Date.now();
-    
+  /**
+   * New screen with the first available option of every list.
+   */
+  createScreen(id = Date.now()) {
     // Auto-select first available options
     const firstFrameColor = this.data.frameColors?.length > 0 ? this.data.frameColors[0].id : null;
     const firstFabricColor = this.data.fabricColors?.length > 0 ? this.data.fabricColors[0].id : null;
@@ -417,8 +569,8 @@ class ProductConfigurator extends HTMLElement {
     const firstMotor = this.data.motorOptions?.length > 0 ? this.data.motorOptions[0].id : null;
     const firstCableExit = this.data.cableExitOptions?.length > 0 ? this.data.cableExitOptions[0].id : 'back';
 
-    this.state.screens.push({
-      id: newId,
+    return {
+      id,
       width: 800,
       height: 600,
       frameColor: firstFrameColor,
@@ -431,8 +583,581 @@ class ProductConfigurator extends HTMLElement {
       expanded: true,
       valid: true,
       errors: {},
+    };
+  }
+
+  /**
+   * Restores the state from a shared `?config=` link.
+   * Options missing from the current lists fall back to the default and are listed in a notice.
+   * Links from the account page also carry `quote=<id>`, so saving updates that quote.
+   * Autosave waits for the first edit, so opening a link doesn't replace the customer's own draft.
+   * @returns {boolean} whether a configuration was restored
+   */
+  restoreSharedState() {
+    const params = new URLSearchParams(window.location.search);
+    const code = params.get('config');
+    const shared = code ? window.ScreenluxEngine.decodeState(code) : null;
+    if (!shared || shared.screens.length === 0) return false;
+
+    this.applySharedState(shared);
+    this.state.draftPaused = true;
+    if (params.get('quote')) this.loadSavedQuote(params.get('quote'));
+    return true;
+  }
+
+  /**
+   * Replaces the state with a decoded configuration (see ScreenluxEngine.decodeState).
+   */
+  applySharedState(shared) {
+    const missing = [];
+    const optionFields = ['frameColor', 'fabricColor', 'fabricType', 'cassetteSize', 'motor', 'cableExit', 'mountingBracket'];
+
+    this.state.screens = shared.screens.map((values, index) => {
+      const screen = this.createScreen(Date.now() + index);
+      screen.expanded = index === 0;
+      if (values.width) screen.width = parseInt(values.width) || screen.width;
+      if (values.height) screen.height = parseInt(values.height) || screen.height;
+      if (values.reference) screen.reference = String(values.reference);
+      if (values.room) screen.room = String(values.room);
+
+      optionFields.forEach((field) => {
+        if (values[field] === undefined) return;
+        const available =
+          (field === 'mountingBracket' && values[field] === 'none') ||
+          this.getOptionList(field).some((o) => o.id == values[field]);
+        if (available) {
+          screen[field] = values[field];
+        } else {
+          missing.push({ field, id: values[field] });
+        }
+      });
+
+      this.validateScreen(screen);
+      return screen;
+    });
+
+    if (shared.installationType === 'diy' || shared.installationType === 'professional') {
+      this.state.installationType = shared.installationType;
+    }
+
+    // Accessories: keep only products that are still sold
+    ['steuerung', 'automatisierung'].forEach((key) => {
+      this.state[key] = {};
+      Object.entries(shared[key]).forEach(([id, qty]) => {
+        if ((this.data[key] || []).some((p) => p.id == id)) {
+          this.state[key][id] = parseInt(qty) || 0;
+        } else {
+          missing.push({ field: key, id });
+        }
+      });
     });
 
+    // Re-link by position (screen ids are regenerated)
+    shared.screens.forEach((values, index) => {
+      const master = values.linkedIndex !== null ? this.state.screens[values.linkedIndex] : null;
+      if (master && master !== this.state.screens[index]) this.state.screens[index].linkedTo = master.id;
+    });
+    this.syncLinkedScreens();
+
+    this.state.restoreNotice = missing.length > 0 ? missing : null;
+  }
+
+  /* --- Drafts --- */
+
+  /**
+   * Sum of calculated screen prices; compared on restore to detect price changes.
+   */
+  getDraftTotal(screens) {
+    return screens.reduce((sum, screen) => sum + window.ScreenluxEngine.calculateScreenPrice(screen, this.data.config), 0);
+  }
+
+  /**
+   * Looks for a saved draft (localStorage, plus the customer account when logged in)
+   * and offers to continue it. Autosave stays paused until the customer decides.
+   */
+  async loadDraft() {
+    const customer = this.data.config.customer;
+    let draft = null;
+    this.state.draftLoading = true;
+
+    try {
+      draft = JSON.parse(localStorage.getItem(DRAFT_STORAGE_KEY) || 'null');
+    } catch (e) {
+      console.error('Failed to parse saved configurator draft');
+    }
+    if (draft) this.state.draftNotice = { type: 'offer', draft };
+
+    if (customer?.hasAccount) {
+      try {
+        const res = await fetch(DRAFT_PROXY_URL, { headers: { Accept: 'application/json' } });
+        // Not installed: the store answers with a 404 or an HTML page; keep the local draft and stop syncing
+        this.draftProxyAvailable = res.ok && (res.headers.get('Content-Type') || '').includes('application/json');
+        if (this.draftProxyAvailable) {
+          const remote = (await res.json()).draft;
+          if (remote && (!draft || remote.savedAt > draft.savedAt)) {
+            draft = remote;
+            this.state.draftNotice = { type: 'offer', draft };
+            this.render();
+          }
+        }
+      } catch (e) {
+        console.error('Failed to fetch draft from customer profile', e);
+      }
+    }
+
+    this.state.draftLoading = false;
+  }
+
+  scheduleDraftSave() {
+    if (this.state.draftLoading || this.state.draftPaused || this.state.draftNotice?.type === 'offer' || this.state.editingLine) return;
+    clearTimeout(this._draftTimer);
+    this._draftTimer = setTimeout(() => this.saveDraft(), 1000);
+  }
+
+  async saveDraft() {
+    const draft = {
+      savedAt: Date.now(),
+      code: window.ScreenluxEngine.encodeState(this.state),
+      screens: this.state.screens.length,
+      total: this.getDraftTotal(this.state.screens),
+      pricingVersion: window.ScreenluxEngine.getPricingVersion(this.data.config),
+    };
+    try {
+      localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+    } catch (e) {
+      // Storage full or disabled (private browsing); the account copy below still applies
+      console.error('Failed to save configurator draft locally', e);
+    }
+
+    if (this.data.config.customer?.hasAccount && this.draftProxyAvailable !== false) {
+      try {
+        await fetch(DRAFT_PROXY_URL, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ draft }),
+        });
+      } catch (e) {
+        console.error('Failed to save draft to profile', e);
+      }
+    }
+  }
+
+  continueDraft() {
+    const { draft } = this.state.draftNotice;
+    const shared = window.ScreenluxEngine.decodeState(draft.code);
+    this.state.draftNotice = null;
+
+    if (shared && shared.screens.length > 0) {
+      this.applySharedState(shared);
+      const total = this.getDraftTotal(this.state.screens);
+      if (total !== draft.total) {
+        this.state.draftNotice = { type: 'priceChanged', before: draft.total, after: total };
+      }
+    }
+
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+  }
+
+  dismissDraftNotice() {
+    this.state.draftNotice = null;
+    this.render();
+  }
+
+  /**
+   * "Continue where you left off" offer or price-change notice (element or null).
+   */
+  renderDraftNotice() {
+    const notice = this.state.draftNotice;
+    if (!notice) return null;
+
+    const t = window.ScreenluxTranslations.draft || {};
+    const el = document.createElement('div');
+    el.className = 'restore-notice text-sm';
+
+    if (notice.type === 'offer') {
+      const date = new Date(notice.draft.savedAt).toLocaleDateString();
+      el.innerHTML = `
+        <span>${(t.offer || 'You have a saved configuration from [DATE] ([COUNT] screens).').replace('[DATE]', date).replace('[COUNT]', notice.draft.screens)}</span>
+        <span class="restore-notice__actions">
+          <button type="button" class="btn-text draft-continue-btn">${t.continue || 'Continue where you left off'}</button>
+          <button type="button" class="btn-text draft-discard-btn">${t.discard || 'Start fresh'}</button>
+        </span>
+      `;
+      el.querySelector('.draft-continue-btn').addEventListener('click', () => this.continueDraft());
+      el.querySelector('.draft-discard-btn').addEventListener('click', () => this.dismissDraftNotice());
+    } else {
+      el.innerHTML = `
+        <span>⚠️ ${(t.priceChanged || 'Prices have changed since your last visit: [BEFORE] → [AFTER]').replace('[BEFORE]', this.formatPrice(notice.before)).replace('[AFTER]', this.formatPrice(notice.after))}</span>
+        <button type="button" class="btn-text restore-notice__dismiss" aria-label="${t.dismiss || 'Dismiss'}">✕</button>
+      `;
+      el.querySelector('.restore-notice__dismiss').addEventListener('click', () => this.dismissDraftNotice());
+    }
+    return el;
+  }
+
+  /* --- Editing a cart line --- */
+
+  /**
+   * Prefills the configurator from a configured cart line (?edit=<line key>).
+   * Saving then swaps that line and its price increment carriers for the re-priced screen, and the
+   * configuration's installation service when the motor change calls for the other one.
+   */
+  async loadCartLine(key) {
+    const t = window.ScreenluxTranslations.editLine || {};
+    try {
+      const cartUrl = (window.routes && window.routes.cart_url) || '/cart';
+      const cart = await (await fetch(`${cartUrl}.js`)).json();
+      const line = (cart.items || []).find((item) => item.key === key);
+      const values = line && line.properties ? window.ScreenluxEngine.screenFromCartLine(line.properties) : null;
+      if (!values) throw new Error(`No configured cart line ${key}`);
+
+      const screenId = line.properties['_Screen ID'];
+      const configurationId = line.properties['_Configuration ID'];
+      // Carriers that top up this screen's price are removed together with it
+      const carriers = cart.items.filter(
+        (item) =>
+          item.properties &&
+          item.properties['_Price increment'] &&
+          item.properties['_Screen ID'] == screenId &&
+          item.properties['_Configuration ID'] === configurationId,
+      );
+
+      const sameConfiguration = (item) => item.properties && item.properties['_Configuration ID'] === configurationId;
+      const service = cart.items.find((item) => sameConfiguration(item) && item.properties['_Installation service']);
+      const otherScreens = cart.items
+        .filter((item) => item !== line && sameConfiguration(item) && item.properties._config)
+        .map((item) => window.ScreenluxEngine.screenFromCartLine(item.properties))
+        .filter(Boolean);
+
+      this.applySharedState({ screens: [values], steuerung: {}, automatisierung: {} });
+      this.state.installationType = 'diy';
+      this.state.editingLine = {
+        key,
+        quantity: line.quantity,
+        properties: line.properties,
+        lines: [line, ...carriers],
+        service,
+        otherScreens,
+      };
+      this.history = { undo: [], redo: [] };
+      this.render();
+      this.updateSVGConfigurator(this.getActiveScreen());
+    } catch (e) {
+      console.error('Failed to load cart line', e);
+      this.state.editingLine = null;
+      // The placeholder screen replaces no draft until the customer starts configuring
+      this.state.draftPaused = true;
+      this.render();
+      this.showToast(t.notFound || 'This screen is no longer in your cart.');
+    }
+  }
+
+  /**
+   * Cart changes that save the edited line (see ScreenluxEngine.generateLineReplacement).
+   * @returns {object} { removeKeys, items, restoreItems } — `restoreItems` re-add the removed lines if adding fails
+   */
+  getEditedLineChanges() {
+    const engine = window.ScreenluxEngine;
+    const editing = this.state.editingLine;
+    const screen = this.state.screens[0];
+    const items = engine.generateLineReplacement(screen, editing.properties, this.data, editing.quantity);
+    const removed = [...editing.lines];
+
+    // Wired or solar installation depends on the motors of the whole configuration
+    if (editing.service) {
+      const variant = engine.getInstallationService([...editing.otherScreens, screen], this.data);
+      if (variant && variant.id !== editing.service.variant_id) {
+        removed.push(editing.service);
+        items.push({ id: variant.id, quantity: editing.service.quantity, properties: editing.service.properties });
+      }
+    }
+
+    return {
+      removeKeys: removed.map((line) => line.key),
+      items,
+      restoreItems: removed.map((line) => ({ id: line.variant_id, quantity: line.quantity, properties: line.properties })),
+    };
+  }
+
+  cancelEditLine = () => {
+    window.location.href = (window.routes && window.routes.cart_url) || '/cart';
+  };
+
+  /**
+   * Banner shown while a cart line is being edited (element or null).
+   */
+  renderEditLineNotice() {
+    if (!this.state.editingLine) return null;
+
+    const t = window.ScreenluxTranslations.editLine || {};
+    const notice = document.createElement('div');
+    notice.className = 'restore-notice text-sm';
+    notice.innerHTML = `
+      <span>✏️ ${(t.notice || 'You are editing [SCREEN] from your cart. Saving replaces it.').replace('[SCREEN]', this.escapeHtml(this.getScreenLabel(0)))}</span>
+      <button type="button" class="btn-text edit-line-cancel-btn">${t.cancel || 'Back to cart'}</button>
+    `;
+    notice.querySelector('.edit-line-cancel-btn').addEventListener('click', this.cancelEditLine);
+    return notice;
+  }
+
+  /**
+   * Current configuration as a shareable URL.
+   */
+  getShareUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('config', window.ScreenluxEngine.encodeState(this.state));
+    url.searchParams.delete('quote');
+    return url.toString();
+  }
+
+  handleShare = (btn) => {
+    const url = this.getShareUrl();
+    window.history.replaceState(null, '', url);
+
+    const t = window.ScreenluxTranslations.share || {};
+    const done = () => {
+      btn.innerText = t.copied || 'Link copied';
+    };
+    if (navigator.share && window.matchMedia('(pointer: coarse)').matches) {
+      navigator.share({ url }).catch(() => {});
+    } else if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(done, () => window.prompt(t.button || 'Share', url));
+    } else {
+      window.prompt(t.button || 'Share', url);
+    }
+  };
+
+  /* --- Quote --- */
+
+  /**
+   * Quote model for ScreenluxQuote.render: screens, extras, installation estimate and totals.
+   */
+  buildQuote() {
+    const totals = this.calculateTotals();
+    const date = new Date();
+    const validUntil = new Date(date);
+    validUntil.setDate(validUntil.getDate() + (parseInt(this.data.config.quoteValidityDays) || window.ScreenluxQuote.validityDays));
+
+    const extras = [];
+    ['steuerung', 'automatisierung'].forEach((key) => {
+      Object.entries(this.state[key] || {}).forEach(([id, quantity]) => {
+        const product = (this.data[key] || []).find((p) => p.id == id);
+        if (product && quantity > 0) extras.push({ title: product.title, quantity, price: product.price * quantity });
+      });
+    });
+
+    return {
+      number: window.ScreenluxQuote.createNumber(date),
+      date,
+      validUntil,
+      screens: this.state.screens.map((screen, index) => ({
+        label: this.getScreenLabel(index),
+        screen,
+        price: this.getScreenPricing(screen).price,
+      })),
+      extras,
+      installation: { type: this.state.installationType, estimate: totals.estimatedInstallTotal },
+      volumeDiscount: totals.volumeDiscount,
+      vat: window.ScreenluxEngine.splitVat(totals.grandTotal, this.data.config),
+      shareUrl: this.getShareUrl(),
+      // Sender block; rendered into the section's markup rather than ScreenluxData
+      shop: { name: this.dataset.shopName, address: this.dataset.shopAddress, email: this.dataset.shopEmail },
+    };
+  }
+
+  handleDownloadQuote = () => {
+    // Gross prices throughout; the quote lists net and VAT separately
+    const money = (cents) => window.ScreenluxEngine.formatMoney(cents, this.data.config, 2);
+    window.ScreenluxQuote.print(window.ScreenluxQuote.render(this.buildQuote(), this.data, money));
+  };
+
+  /* --- Saved Quotes --- */
+
+  /**
+   * Looks up the saved quote a link from the account page points to.
+   * Proxy contract: GET QUOTES_PROXY_URL → { quotes: [{ id, name, number, savedAt, validUntil, code, screens, total, totalLabel }] }
+   */
+  async loadSavedQuote(id) {
+    if (!this.data.config.customer?.hasAccount) return;
+    try {
+      const res = await fetch(QUOTES_PROXY_URL);
+      if (!res.ok) return;
+      const quote = ((await res.json()).quotes || []).find((q) => q.id === id);
+      if (quote) {
+        this.state.savedQuote = quote;
+        this.render();
+      }
+    } catch (e) {
+      console.error('Failed to fetch quotes from customer profile', e);
+    }
+  }
+
+  /**
+   * Saves the configuration as a named quote to the customer account; a reopened quote is updated.
+   * Proxy contract: POST QUOTES_PROXY_URL { quote } stores the quote, replacing one with the same id.
+   */
+  handleSaveQuote = async () => {
+    const t = window.ScreenluxTranslations.savedQuotes || {};
+    const saved = this.state.savedQuote;
+    const rooms = [...new Set(this.state.screens.map((s) => s.room).filter(Boolean))];
+    const name = window.prompt(
+      t.namePrompt || 'Name of the quote',
+      saved ? saved.name : rooms.join(', ') || (t.defaultName || 'Quote [DATE]').replace('[DATE]', new Date().toLocaleDateString()),
+    );
+    if (name === null) return;
+
+    const built = this.buildQuote();
+    const quote = {
+      id: saved ? saved.id : built.number,
+      name: name.trim() || built.number,
+      number: built.number,
+      savedAt: Date.now(),
+      validUntil: built.validUntil.getTime(),
+      code: window.ScreenluxEngine.encodeState(this.state),
+      screens: this.state.screens.length,
+      total: built.vat.gross,
+      totalLabel: window.ScreenluxEngine.formatMoney(built.vat.gross, this.data.config, 2),
+    };
+
+    try {
+      const res = await fetch(QUOTES_PROXY_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ quote }),
+      });
+      if (!res.ok) throw new Error(`Quote proxy responded ${res.status}`);
+      this.state.savedQuote = quote;
+      this.render();
+      this.showToast((t.saved || 'Quote "[NAME]" saved to your account').replace('[NAME]', quote.name));
+    } catch (e) {
+      console.error('Failed to save quote to profile', e);
+      this.showToast(t.saveError || 'The quote could not be saved. Please try again.');
+    }
+  };
+
+  /**
+   * Banner shown while a saved quote is open, with the price change since it was saved (element or null).
+   */
+  renderSavedQuoteNotice() {
+    const quote = this.state.savedQuote;
+    if (!quote || this.state.editingLine) return null;
+
+    const t = window.ScreenluxTranslations.savedQuotes || {};
+    const total = this.calculateTotals().grandTotal;
+    const notice = document.createElement('div');
+    notice.className = 'restore-notice text-sm';
+    notice.innerHTML = `
+      <span>${(t.notice || 'Saved quote "[NAME]" from [DATE]. Saving again updates it.').replace('[NAME]', this.escapeHtml(quote.name)).replace('[DATE]', new Date(quote.savedAt).toLocaleDateString())}</span>
+      ${
+        quote.total !== total
+          ? `<span>⚠️ ${(t.priceChanged || 'Prices have changed since: [BEFORE] → [AFTER]').replace('[BEFORE]', this.formatPrice(quote.total)).replace('[AFTER]', this.formatPrice(total))}</span>`
+          : ''
+      }
+    `;
+    return notice;
+  }
+
+  /**
+   * Notice about options from a shared link that are no longer available (element or null).
+   */
+  renderRestoreNotice() {
+    if (!this.state.restoreNotice) return null;
+
+    const t = window.ScreenluxTranslations.share || {};
+    const labels = {
+      ...window.ScreenluxTranslations.options,
+      fabricType: window.ScreenluxTranslations.options.fabricTransparency,
+      mountingBracket: window.ScreenluxTranslations.options.mountingBrackets,
+      steuerung: window.ScreenluxTranslations.steuerungTitle,
+      automatisierung: window.ScreenluxTranslations.automatisierungTitle,
+    };
+    const list = this.state.restoreNotice.map((m) => `${labels[m.field] || m.field}: ${m.id}`).join(', ');
+
+    const notice = document.createElement('div');
+    notice.className = 'restore-notice text-sm';
+    notice.innerHTML = `
+      <span>⚠️ ${(t.unavailable || 'Some options from this link are no longer available and were reset: [MISSING]').replace('[MISSING]', list)}</span>
+      <button type="button" class="btn-text restore-notice__dismiss" aria-label="${t.dismiss || 'Dismiss'}">✕</button>
+    `;
+    notice.querySelector('.restore-notice__dismiss').addEventListener('click', () => {
+      this.state.restoreNotice = null;
+      this.render();
+    });
+    return notice;
+  }
+
+  /**
+   * Measured windows from the measure app: localStorage, merged with the customer profile when logged in.
+   */
+  async loadMeasurements() {
+    let windows = [];
+    try {
+      windows = JSON.parse(localStorage.getItem(MEASUREMENTS_STORAGE_KEY) || '[]');
+    } catch (e) {
+      console.error('Failed to parse saved measurements');
+    }
+
+    if (this.data.config.customer?.hasAccount) {
+      try {
+        const res = await fetch(MEASUREMENTS_PROXY_URL);
+        if (res.ok) {
+          const remote = (await res.json()).windows || [];
+          // Local entries may be unsynced edits of remote ones
+          windows = [...remote.filter((rw) => !windows.some((lw) => lw.id === rw.id)), ...windows];
+        }
+      } catch (e) {
+        console.error('Failed to fetch windows from customer profile', e);
+      }
+    }
+    return windows;
+  }
+
+  handleImportMeasurements = async () => {
+    const t = window.ScreenluxTranslations.measurements || {};
+    const windows = await this.loadMeasurements();
+    const imported = windows
+      .map((win) => window.ScreenluxEngine.screenFromMeasurement(win))
+      .filter(Boolean);
+
+    if (imported.length === 0) {
+      this.showToast(t.none || 'No measured windows found');
+      return;
+    }
+
+    const label = (t.imported || '[COUNT] windows imported').replace('[COUNT]', imported.length);
+    this.recordHistory(label);
+
+    // Replace the untouched starter screen instead of keeping it next to the imports
+    const [first] = this.state.screens;
+    const starter = this.createScreen(first && first.id);
+    const untouched =
+      this.state.screens.length === 1 &&
+      !first.reference &&
+      ['width', 'height', 'frameColor', 'fabricColor', 'fabricType', 'cassetteSize', 'motor'].every(
+        (field) => first[field] === starter[field],
+      );
+    if (untouched) this.state.screens = [];
+
+    this.state.screens.forEach((s) => (s.expanded = false));
+    imported.forEach((values, i) => {
+      const screen = { ...this.createScreen(Date.now() + i), ...values, expanded: false };
+      this.validateScreen(screen);
+      this.state.screens.push(screen);
+    });
+    this.state.screens[this.state.screens.length - imported.length].expanded = true;
+
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+    this.showToast(label, window.ScreenluxTranslations.history?.undo || 'Undo', this.undo);
+  };
+
+  handleAddScreen = (skipScroll = false) => {
+    const newId = Date.now();
+    if (!skipScroll) this.recordHistory(window.ScreenluxTranslations.addAnotherOne);
+
+    this.state.screens.push(this.createScreen(newId));
+
     // Collapse others
     this.state.screens.forEach((s) => {
       if (s.id !== newId) s.expanded = false;
@@ -457,6 +1182,7 @@ class ProductConfigurator extends HTMLElement {
   };
 
   handleDuplicateScreen = (index) => {
+    this.recordHistory(window.ScreenluxTranslations.actions.duplicateScreen);
     const source = this.state.screens[index];
     const newScreen = JSON.parse(JSON.stringify(source));
     newScreen.id = Date.now();
@@ -483,19 +1209,22 @@ class ProductConfigurator extends HTMLElement {
   };
 
   updateScreen(index, field, value) {
+    this.recordHistory(this.getScreenLabel(index));
     const screen = this.state.screens[index];
 
     // Type conversion for numbers
     if (field === 'width' || field === 'height') {
       value = parseInt(value) || 0;
     }
+    if (field === 'reference' || field === 'room') {
+      value = String(value).trim();
+    }
 
     screen[field] = value;
 
     // Run validation logic
-    const v = window.ScreenluxEngine.validateDimensions(screen.width, screen.height);
-    screen.valid = v.valid;
-    screen.errors = v.valid ? {} : { dimension: v.error };
+    this.validateScreen(screen);
+    if (LINKED_FIELDS.includes(field)) this.syncLinkedScreens();
 
     // Dispatch event for SVG configurator (always use active screen for preview)
     this.updateSVGConfigurator(screen);
@@ -515,9 +1244,25 @@ class ProductConfigurator extends HTMLElement {
     this.render();
   }
 
+  /**
+   * Validates a screen's dimensions against the limits of its selected options.
+   */
+  validateScreen(screen) {
+    const v = window.ScreenluxEngine.validateDimensions(screen.width, screen.height, screen, this.data.config);
+    screen.valid = v.valid;
+    screen.errors = {};
+    v.errors.forEach((error) => (screen.errors[error.field] = error));
+  }
+
   removeScreen(index) {
     if (this.state.screens.length <= 1) return;
-    this.state.screens.splice(index, 1);
+    const t = window.ScreenluxTranslations.history || {};
+    const label = (t.screenRemoved || '[SCREEN] removed').replace('[SCREEN]', this.getScreenLabel(index));
+    this.recordHistory(label);
+    const [removed] = this.state.screens.splice(index, 1);
+    this.state.screens.forEach((s) => {
+      if (s.linkedTo === removed.id) s.linkedTo = null;
+    });
 
     // Determines which screen to focus after deletion logic
     // We want to focus the *previous* screen if possible, or the one that took its place (if it was the first one).
@@ -552,6 +1297,8 @@ class ProductConfigurator extends HTMLElement {
       const activeScreen = this.getActiveScreen();
       this.updateSVGConfigurator(activeScreen);
     }
+
+    this.showToast(label, t.undo || 'Undo', this.undo);
   }
 
   toggleScreenAccordion(index) {
@@ -594,118 +1341,575 @@ class ProductConfigurator extends HTMLElement {
     // The state is updated so next time something else triggers render, it will be correct.
   }
 
+  setVatMode(mode) {
+    this.state.vatMode = mode;
+    this.render();
+  }
+
   setInstallationType(type) {
+    this.recordHistory(window.ScreenluxTranslations.installationTitle);
     this.state.installationType = type;
     this.render();
   }
 
   handleGlobalSolar = () => {
-    this.state.screens.forEach((s) => (s.motor = 'solar'));
-    this.render();
+    const t = window.ScreenluxTranslations.history || {};
+    this.applyOptionToScreens('motor', 'solar', this.state.screens, t.allSolar || 'All screens switched to solar');
   };
 
 
 
-  /* --- Rendering --- */
+  /**
+   * Moves a screen to a new position; numbering, cart order and the preview follow the state.
+   */
+  moveScreen(from, to, record = true) {
+    if (to < 0 || to >= this.state.screens.length || from === to) return;
+    if (record) this.recordHistory(window.ScreenluxTranslations.reorder?.moved || 'Screen moved');
+
+    const [screen] = this.state.screens.splice(from, 1);
+    this.state.screens.splice(to, 0, screen);
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+
+    const live = this.querySelector('#screenlux-reorder-status');
+    if (live) {
+      live.textContent = (window.ScreenluxTranslations.reorder?.position || '[SCREEN]: position [POSITION] of [COUNT]')
+        .replace('[SCREEN]', this.getScreenLabel(to))
+        .replace('[POSITION]', to + 1)
+        .replace('[COUNT]', this.state.screens.length);
+    }
+  }
+
+  focusDragHandle(screen) {
+    const item = screen && this._screenEls.get(screen.id);
+    const handle = item && item.el.querySelector('.screen-drag-handle');
+    if (handle) handle.focus();
+  }
+
+  /**
+   * Pointer drag on a screen's handle. The list reorders live while dragging; one history entry per drag.
+   */
+  startScreenDrag(e, handle) {
+    e.preventDefault();
+    const item = handle.closest('details-accordion');
+    const list = item.parentElement;
+    const screen = this.state.screens.find((s) => String(s.id) === item.dataset.screenId);
+    let recorded = false;
+
+    item.classList.add('is-dragging');
+
+    const onMove = (moveEvent) => {
+      const from = this.state.screens.indexOf(screen);
+      // Target position: number of other screens whose middle is above the pointer
+      const to = Array.from(list.children)
+        .filter((child) => child !== item)
+        .filter((child) => {
+          const rect = child.getBoundingClientRect();
+          return rect.top + rect.height / 2 < moveEvent.clientY;
+        }).length;
+
+      if (to !== from) {
+        if (!recorded) {
+          this.recordHistory(window.ScreenluxTranslations.reorder?.moved || 'Screen moved');
+          recorded = true;
+        }
+        this.moveScreen(from, to, false);
+      }
+    };
+
+    const onUp = () => {
+      item.classList.remove('is-dragging');
+      window.removeEventListener('pointermove', onMove);
+      window.removeEventListener('pointerup', onUp);
+      window.removeEventListener('pointercancel', onUp);
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onUp);
+    window.addEventListener('pointercancel', onUp);
+  }
+
+  /* --- Rendering --- */
+
+  /**
+   * Updates the app in place: screens are keyed by id and only re-rendered when their
+   * signature changes, the other sections are swapped as a whole (they hold no text inputs).
+   */
+  render() {
+    if (this.state.screens.length < 2) this.state.bulkSelection = null;
+
+    // First render: persistent shell
+    if (!this._app || !this.contains(this._app)) {
+      this._app = document.createElement('div');
+      this._app.className = 'configurator-app';
+      this._sections = {};
+      this._screenEls = new Map();
+      this.replaceChildren(this._app);
+    }
+
+    // Sections in page order; null removes a section
+    // While editing a cart line only that screen is configured; extras stay as they are in the cart
+    const editing = Boolean(this.state.editingLine);
+
+    this.mountSections([
+      ['editLineNotice', this.renderEditLineNotice()],
+      ['restoreNotice', this.renderRestoreNotice()],
+      ['draftNotice', this.renderDraftNotice()],
+      ['savedQuoteNotice', this.renderSavedQuoteNotice()],
+      ['vatToggle', this.renderVatToggle()],
+      // 1. Screens Group (keyed)
+      ['screens', this.renderScreensGroup()],
+      // 4. Installation Section
+      ['installation', editing ? null : this.renderInstallationSection()],
+      // 6. Steuerung Section
+      ['steuerung', editing ? null : this.renderExtraSection('steuerung', window.ScreenluxTranslations.steuerungTitle, window.ScreenluxTranslations.noSteuerung)],
+      // 5.1 Automatisierung Section
+      ['automatisierung', editing ? null : this.renderExtraSection('automatisierung', window.ScreenluxTranslations.automatisierungTitle, window.ScreenluxTranslations.noAutomatisierung)],
+      // 6. Order Summary & Cart
+      ['summary', this.renderOrderSummary()],
+      // 7. Award Section (static)
+      ['award', this._sections.award || this.renderAwardSection()],
+      // 8. Sticky Bar (content is filled in by updateStickyBar)
+      ['stickyBar', this._sections.stickyBar || this.renderStickyBar()],
+    ]);
+
+    // Update sticky bar state immediately
+    if (this.updateStickyBar) this.updateStickyBar();
+
+    this.scheduleDraftSave();
+  }
+
+  mountSections(sections) {
+    let previous = null;
+    sections.forEach(([key, el]) => {
+      const current = this._sections[key];
+      if (!el) {
+        if (current) current.remove();
+        delete this._sections[key];
+        return;
+      }
+      if (current && current !== el) {
+        current.replaceWith(el);
+      } else if (!current) {
+        if (previous) previous.after(el);
+        else this._app.prepend(el);
+      }
+      this._sections[key] = el;
+      previous = el;
+    });
+  }
+
+  renderScreensGroup() {
+    let group = this._sections.screens;
+    if (!group) {
+      group = document.createElement('div');
+      group.className = 'configurator-group-box';
+      group.innerHTML = `
+        <div class="screens-list">
+          <div class="screens-list__header"></div>
+          <div class="screens-list__items"></div>
+        </div>
+      `;
+
+      // 2. Add Screen Button
+      const addBtn = document.createElement('button');
+      addBtn.className = 'btn btn-dashed margin-top-sm';
+      addBtn.innerHTML = `<span>+</span> ${window.ScreenluxTranslations.addAnotherOne}`;
+      addBtn.className += ' add-screen-btn';
+      addBtn.onclick = () => this.handleAddScreen();
+      group.appendChild(addBtn);
+
+      // 2.1 Import from the measure app
+      const importBtn = document.createElement('button');
+      importBtn.type = 'button';
+      importBtn.className = 'btn-text import-measurements-btn margin-top-xs';
+      importBtn.innerText = window.ScreenluxTranslations.measurements?.import || 'Import my measured windows';
+      importBtn.onclick = this.handleImportMeasurements;
+      group.appendChild(importBtn);
+    }
+
+    // An edited cart line stays a single screen
+    group.querySelector('.add-screen-btn').hidden = Boolean(this.state.editingLine);
+    group.querySelector('.import-measurements-btn').hidden = Boolean(this.state.editingLine);
+
+    // Header for Screens Section (+ suggestions for the room inputs)
+    const rooms = [...new Set(this.state.screens.map((s) => s.room).filter(Boolean))];
+    const bulkT = window.ScreenluxTranslations.bulk || {};
+    const header = group.querySelector('.screens-list__header');
+    header.innerHTML = `<div class="grouping-title-row">
+        <label class="grouping-title">${window.ScreenluxTranslations.title}</label>
+        ${
+          this.state.screens.length > 1
+            ? `<button type="button" class="btn-text bulk-mode-btn">${this.state.bulkSelection ? bulkT.done || 'Done' : bulkT.selectScreens || 'Select screens'}</button>`
+            : ''
+        }
+      </div>
+      <datalist id="screenlux-rooms">${rooms.map((room) => `<option value="${this.escapeHtml(room)}">`).join('')}</datalist>
+      <span id="screenlux-reorder-hint" class="visually-hidden">${window.ScreenluxTranslations.reorder?.hint || 'Use the arrow keys to move the screen up or down.'}</span>
+      <span id="screenlux-reorder-status" class="visually-hidden" aria-live="polite"></span>`;
+
+    const bulkModeBtn = header.querySelector('.bulk-mode-btn');
+    if (bulkModeBtn) bulkModeBtn.onclick = this.toggleBulkSelection;
+
+    this.updateScreenItems(group.querySelector('.screens-list__items'));
+    return group;
+  }
+
+  /**
+   * Keyed update of the screen accordions: unchanged screens keep their DOM,
+   * changed ones are morphed in place so focus and open state survive.
+   */
+  updateScreenItems(list) {
+    const seen = new Set();
+
+    this.state.screens.forEach((screen, index) => {
+      const signature = this.getScreenSignature(screen, index);
+      const cached = this._screenEls.get(screen.id);
+      let el = cached ? cached.el : null;
+
+      if (!cached || cached.signature !== signature) {
+        const fresh = this.renderScreenItem(screen, index);
+        if (el) {
+          this.morph(el, fresh);
+        } else {
+          el = fresh;
+        }
+        this._screenEls.set(screen.id, { el, signature });
+      }
+
+      if (list.children[index] !== el) list.insertBefore(el, list.children[index] || null);
+      seen.add(screen.id);
+    });
+
+    this._screenEls.forEach(({ el }, id) => {
+      if (!seen.has(id)) {
+        el.remove();
+        this._screenEls.delete(id);
+      }
+    });
+  }
+
+  /**
+   * Everything a screen accordion's markup depends on.
+   */
+  getScreenSignature(screen, index) {
+    // Apply-to-all buttons compare against the other screens' options
+    const others =
+      this.state.screens.length > 1
+        ? this.getBulkTargets().map((s) => [s.frameColor, s.fabricColor, s.fabricType, s.cassetteSize, s.motor, s.cableExit, s.mountingBracket])
+        : null;
+
+    return JSON.stringify([
+      screen,
+      index,
+      this.state.screens.length,
+      this.state.vatMode,
+      this.state.sizeTolerance,
+      this.state.bulkSelection,
+      others,
+      // Link chips and selectors name other screens
+      this.state.screens.map((s) => [s.id, s.reference, s.linkedTo]),
+    ]);
+  }
+
+  /**
+   * Minimal DOM morph: patches `from` to match `to`, keeping existing nodes (and thus focus,
+   * listeners of custom elements and running animations) wherever the structure matches.
+   */
+  morph(from, to) {
+    if (from.nodeType !== to.nodeType || from.nodeName !== to.nodeName) {
+      from.replaceWith(to);
+      return;
+    }
+    if (from.nodeType !== Node.ELEMENT_NODE) {
+      if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+      return;
+    }
+
+    // The price breakdown is opened by the customer, not by state; keep it as it is
+    const keepOpen = from.nodeName === 'DETAILS' && from.classList.contains('price-breakdown');
+
+    Array.from(from.attributes).forEach((attr) => {
+      // details-accordion animates the height inline
+      if (from.nodeName === 'DETAILS' && attr.name === 'style') return;
+      if (keepOpen && attr.name === 'open') return;
+      if (!to.hasAttribute(attr.name)) from.removeAttribute(attr.name);
+    });
+    Array.from(to.attributes).forEach((attr) => {
+      if (keepOpen && attr.name === 'open') return;
+      if (from.getAttribute(attr.name) !== attr.value) from.setAttribute(attr.name, attr.value);
+    });
 
-  saveFocus() {
-    const active = document.activeElement;
-    if (!active || !this.contains(active)) return null;
-    // Simple focus preservation strategy
-    if (active.dataset.field) {
-      // Return enough info to find it again essentially
-      const allInputs = Array.from(this.querySelectorAll(`input[data-field="${active.dataset.field}"]`));
-      const index = allInputs.indexOf(active);
-      return { type: 'dimension', field: active.dataset.field, index };
+    const fromChildren = Array.from(from.childNodes);
+    const toChildren = Array.from(to.childNodes);
+    toChildren.forEach((child, i) => {
+      if (fromChildren[i]) this.morph(fromChildren[i], child);
+      else from.appendChild(child);
+    });
+    fromChildren.slice(toChildren.length).forEach((child) => child.remove());
+
+    // Form state lives in properties, not attributes
+    if (from.nodeName === 'INPUT') {
+      from.checked = to.checked;
+      if (from !== document.activeElement && from.value !== to.value) from.value = to.value;
+    } else if (from.nodeName === 'SELECT') {
+      from.value = to.value;
+    } else if (from.nodeName === 'DETAILS' && !keepOpen) {
+      from.open = to.open;
     }
-    return null;
   }
 
-  restoreFocus(saved) {
-    if (!saved) return;
-    try {
-      if (saved.type === 'dimension') {
-        const allInputs = Array.from(this.querySelectorAll(`input[data-field="${saved.field}"]`));
-        if (allInputs[saved.index]) {
-          const el = allInputs[saved.index];
-          el.focus();
-          // Restore cursor position for text/number inputs
-          if (el.type === 'text' || el.type === 'number') {
-            const len = el.value.length;
-            el.setSelectionRange(len, len);
-          }
-        }
-      }
-    } catch (e) {
-      // Ignore focus errors
-    }
-  }
+  /**
+   * Screen accordions are morphed rather than rebuilt, so their events are delegated from here.
+   */
+  setupScreenEvents() {
+    const screenIndex = (el) => {
+      const item = el.closest('details-accordion[data-screen-id]');
+      return item ? this.state.screens.findIndex((s) => String(s.id) === item.dataset.screenId) : -1;
+    };
 
-  render() {
-    const savedFocus = this.saveFocus();
+    // The selection checkbox and drag handle sit in the summary; keep their clicks from toggling the accordion
+    this.addEventListener(
+      'click',
+      (e) => {
+        if (e.target.closest('.bulk-select-checkbox, .screen-drag-handle')) e.stopPropagation();
+      },
+      true,
+    );
+
+    this.addEventListener('click', (e) => {
+      const index = screenIndex(e.target);
+      if (index < 0) return;
 
-    // Build off-DOM
-    const container = document.createElement('div');
-    container.className = 'configurator-app';
+      const button = e.target.closest('button');
+      if (button && button.classList.contains('remove-screen-btn')) {
+        e.preventDefault();
+        this.removeScreen(index);
+      } else if (button && button.classList.contains('duplicate-screen-btn')) {
+        e.preventDefault();
+        this.handleDuplicateScreen(index);
+      } else if (button && button.classList.contains('dimension-suggestion-btn')) {
+        // Nearest valid dimension / cheaper size suggestions
+        e.preventDefault();
+        this.updateScreen(index, button.dataset.suggestField, button.dataset.suggestValue);
+      } else if (button && button.classList.contains('unlink-screen-btn')) {
+        e.preventDefault();
+        this.linkScreen(index, null);
+      } else if (button && button.classList.contains('apply-all-btn')) {
+        // Apply-to-all / apply-to-selected
+        e.preventDefault();
+        const field = button.dataset.field;
+        const option = this.getOptionList(field).find((o) => String(o.id) === button.dataset.value);
+        const label = (window.ScreenluxTranslations.bulk?.applied || '[OPTION] applied to [COUNT] screens')
+          .replace('[OPTION]', option ? option.title : button.dataset.value)
+          .replace('[COUNT]', this.getBulkTargets().length);
+        this.applyOptionToScreens(field, option ? option.id : button.dataset.value, this.getBulkTargets(), label);
+      } else if (e.target.closest('summary')) {
+        // Accordion state (details-accordion runs the animation)
+        e.preventDefault();
+        this.toggleScreenAccordion(index);
+      }
+    });
 
-    // 1. Screens Group
-    const screensGroup = document.createElement('div');
-    screensGroup.className = 'configurator-group-box';
+    this.addEventListener('change', (e) => {
+      const index = screenIndex(e.target);
+      if (index < 0) return;
 
-    const screensContainer = document.createElement('div');
-    screensContainer.className = 'screens-list';
+      if (e.target.classList.contains('link-screen-select')) {
+        this.linkScreen(index, e.target.value || null);
+      } else if (e.target.classList.contains('size-tolerance-select')) {
+        // Price-step search range
+        this.state.sizeTolerance = parseInt(e.target.value) || 0;
+        this.render();
+      } else if (e.target.classList.contains('bulk-select-checkbox')) {
+        const id = this.state.screens[index].id;
+        const selection = this.state.bulkSelection.filter((selected) => selected !== id);
+        if (e.target.checked) selection.push(id);
+        this.state.bulkSelection = selection;
+        this.render();
+      } else if (e.target.dataset.field) {
+        const val = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+        this.updateScreen(index, e.target.dataset.field, val);
+      }
+    });
 
-    // Add Header for Screens Section
-    screensContainer.innerHTML = `<label class="grouping-title">${window.ScreenluxTranslations.title}</label>`;
+    // Reordering: drag the handle (mouse / touch) or use the arrow keys on it
+    this.addEventListener('pointerdown', (e) => {
+      const handle = e.target.closest('.screen-drag-handle');
+      if (handle && screenIndex(handle) >= 0) this.startScreenDrag(e, handle);
+    });
+    this.addEventListener('keydown', (e) => {
+      const handle = e.target.closest && e.target.closest('.screen-drag-handle');
+      if (!handle || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+      e.preventDefault();
+      const index = screenIndex(handle);
+      const screen = this.state.screens[index];
+      this.moveScreen(index, index + (e.key === 'ArrowUp' ? -1 : 1));
+      this.focusDragHandle(screen);
+    });
 
-    this.state.screens.forEach((screen, index) => {
-      screensContainer.appendChild(this.renderScreenItem(screen, index));
+    // Jump to SVG configurator when measurement inputs are focused
+    this.addEventListener('focusin', (e) => {
+      const field = e.target.dataset && e.target.dataset.field;
+      if ((field === 'width' || field === 'height') && screenIndex(e.target) >= 0) {
+        this.jumpToSVGConfigurator();
+      }
     });
-    screensGroup.appendChild(screensContainer);
+  }
 
-    // 2. Add Screen Button
-    const addBtn = document.createElement('button');
-    addBtn.className = 'btn btn-dashed margin-top-sm';
-    addBtn.innerHTML = `<span>+</span> ${window.ScreenluxTranslations.addAnotherOne}`;
-    addBtn.onclick = this.handleAddScreen;
-    screensGroup.appendChild(addBtn);
+  // --- Helpers ---
 
-    // 3. Global Solar Check (Upsell) - MOVED TO INSTALLATION SECTION
+  /**
+   * Formats a shop (VAT-inclusive) price in the selected VAT display mode.
+   */
+  formatPrice(cents, decimals = 0) {
+    const amount = this.state.vatMode === 'net' ? window.ScreenluxEngine.splitVat(cents, this.data.config).net : cents;
+    return window.ScreenluxEngine.formatMoney(amount, this.data.config, decimals);
+  }
 
-    // Add Screens Group to Main Container
-    container.appendChild(screensGroup);
+  renderVatToggle() {
+    const t = window.ScreenluxTranslations.vat || {};
+    const toggle = document.createElement('div');
+    toggle.className = 'vat-toggle';
+    toggle.innerHTML = ['gross', 'net']
+      .map(
+        (mode) => `
+        <label class="vat-toggle__option ${this.state.vatMode === mode ? 'selected' : ''}">
+          <input type="radio" name="vatMode" value="${mode}" class="hidden-input" ${this.state.vatMode === mode ? 'checked' : ''}>
+          ${mode === 'net' ? t.net || 'excl. VAT' : t.gross || 'incl. VAT'}
+        </label>`,
+      )
+      .join('');
+
+    toggle.querySelectorAll('input[name="vatMode"]').forEach((radio) => {
+      radio.addEventListener('change', (e) => this.setVatMode(e.target.value));
+    });
+    return toggle;
+  }
 
-    // 4. Installation Section
-    container.appendChild(this.renderInstallationSection());
+  /**
+   * Screens a bulk edit applies to: the multi-select subset when active, otherwise all screens.
+   */
+  getBulkTargets() {
+    const selection = this.state.bulkSelection;
+    return selection ? this.state.screens.filter((s) => selection.includes(s.id)) : this.state.screens;
+  }
 
-    // 5. Brackets Section removed
+  /**
+   * "Apply to all screens" button for a selection grid (HTML string, empty with a single screen).
+   */
+  renderApplyToAllButton(fieldName, selectedValue, index) {
+    if (this.state.screens.length < 2 || selectedValue === null || selectedValue === undefined) return '';
+    if (this.state.screens[index].linkedTo && LINKED_FIELDS.includes(fieldName)) return '';
+
+    const t = window.ScreenluxTranslations.bulk || {};
+    const targets = this.getBulkTargets();
+    const pending = targets.filter((s) => s[fieldName] !== selectedValue);
+    const text = this.state.bulkSelection
+      ? (t.applySelected || 'Apply to [COUNT] selected').replace('[COUNT]', targets.length)
+      : t.applyAll || 'Apply to all screens';
+
+    return `<button type="button" class="btn-text apply-all-btn" data-field="${fieldName}" data-value="${selectedValue}" data-index="${index}" ${pending.length === 0 ? 'disabled' : ''}>${text}</button>`;
+  }
 
-    // 6. Steuerung Section
-    container.appendChild(this.renderExtraSection('steuerung', window.ScreenluxTranslations.steuerungTitle, window.ScreenluxTranslations.noSteuerung));
+  /**
+   * Sets one option on several screens as a single undoable step.
+   */
+  applyOptionToScreens(field, value, screens, label) {
+    const t = window.ScreenluxTranslations.history || {};
+    this.recordHistory(label);
+    screens.forEach((s) => {
+      s[field] = value;
+      this.validateScreen(s);
+    });
+    this.syncLinkedScreens();
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+    this.showToast(label, t.undo || 'Undo', this.undo);
+  }
 
-    // 5.1 Automatisierung Section
-    container.appendChild(this.renderExtraSection('automatisierung', window.ScreenluxTranslations.automatisierungTitle, window.ScreenluxTranslations.noAutomatisierung));
+  /* --- Linked Screens --- */
 
-    // 6. Order Summary & Cart
-    container.appendChild(this.renderOrderSummary());
+  /**
+   * Copies the shared options of every master screen onto the screens linked to it.
+   */
+  syncLinkedScreens() {
+    this.state.screens.forEach((screen) => {
+      const master = screen.linkedTo && this.state.screens.find((s) => s.id === screen.linkedTo);
+      if (!master) {
+        screen.linkedTo = null;
+        return;
+      }
+      LINKED_FIELDS.forEach((field) => (screen[field] = master[field]));
+      this.validateScreen(screen);
+    });
+  }
 
-    // 7. Award Section
-    container.appendChild(this.renderAwardSection());
+  /**
+   * Screens `screen` may follow: unlinked ones other than itself. Masters can't be linked themselves.
+   */
+  getLinkTargets(screen) {
+    if (this.state.screens.some((s) => s.linkedTo === screen.id)) return [];
+    return this.state.screens.filter((s) => s.id !== screen.id && !s.linkedTo);
+  }
 
-    // 8. Sticky Bar
-    container.appendChild(this.renderStickyBar());
+  linkScreen(index, masterId) {
+    const screen = this.state.screens[index];
+    const master = this.state.screens.find((s) => String(s.id) === String(masterId));
+    const t = window.ScreenluxTranslations.linking || {};
+    this.recordHistory(
+      master
+        ? (t.linked || '[SCREEN] linked to [MASTER]')
+            .replace('[SCREEN]', this.getScreenLabel(index))
+            .replace('[MASTER]', this.getScreenLabel(this.state.screens.indexOf(master)))
+        : (t.unlinked || '[SCREEN] unlinked').replace('[SCREEN]', this.getScreenLabel(index)),
+    );
 
-    // Atomic Swap
-    this.replaceChildren(container);
+    screen.linkedTo = master ? master.id : null;
+    this.syncLinkedScreens();
+    this.render();
+    this.updateSVGConfigurator(this.getActiveScreen());
+  }
 
-    // Update sticky bar state immediately
-    if (this.updateStickyBar) this.updateStickyBar();
+  /**
+   * "Same as" selector, or link status with an unlink action (HTML string).
+   */
+  renderLinkControl(screen, index) {
+    const t = window.ScreenluxTranslations.linking || {};
+    const master = screen.linkedTo && this.state.screens.find((s) => s.id === screen.linkedTo);
+
+    if (master) {
+      const masterLabel = this.escapeHtml(this.getScreenLabel(this.state.screens.indexOf(master)));
+      return `
+        <div class="screen-link margin-top-md">
+          <span class="screen-link__status">🔗 ${(t.status || 'Colours, fabric, motor and cassette follow [MASTER]').replace('[MASTER]', masterLabel)}</span>
+          <button type="button" class="btn-text unlink-screen-btn">${t.unlink || 'Unlink'}</button>
+        </div>
+      `;
+    }
 
-    // Restore Focus
-    this.restoreFocus(savedFocus);
+    const targets = this.getLinkTargets(screen);
+    if (targets.length === 0) return '';
+    return `
+      <div class="screen-link margin-top-md">
+        <label class="screen-link__status">
+          ${t.sameAs || 'Same as'}
+          <select class="link-screen-select">
+            <option value="">${t.none || 'Not linked'}</option>
+            ${targets
+              .map((s) => `<option value="${s.id}">${this.escapeHtml(this.getScreenLabel(this.state.screens.indexOf(s)))}</option>`)
+              .join('')}
+          </select>
+        </label>
+      </div>
+    `;
   }
 
-  // --- Helpers ---
+  toggleBulkSelection = () => {
+    const active = this.getActiveScreen();
+    this.state.bulkSelection = this.state.bulkSelection ? null : active ? [active.id] : [];
+    this.render();
+  };
 
   renderSelectionGrid(label, fieldName, options, selectedValue, index, type = 'text', layout = 'grid') {
     let gridClass = 'selection-grid';
@@ -714,13 +1918,21 @@ class ProductConfigurator extends HTMLElement {
 
     let html = `
       <div class="field margin-top-md">
-        <label class="field-label">${label}</label>
+        <div class="field-label-row">
+          <label class="field-label">${label}</label>
+          ${this.renderApplyToAllButton(fieldName, selectedValue, index)}
+        </div>
         <div class="${gridClass}">
     `;
 
+    // Linked screens show their master's choice read-only
+    const screen = this.state.screens[index];
+    const isLocked = screen && screen.linkedTo && LINKED_FIELDS.includes(fieldName);
+
     options.forEach((opt) => {
       const isSelected = selectedValue === opt.id;
-      const isDisabled = opt.disabled === true;
+      const isDisabled = opt.disabled === true || (isLocked && !isSelected);
+      const hasConflict = opt.conflict === true;
       const cardClass = layout === 'vertical' ? 'selection-card selection-card--vertical' : 'selection-card';
 
       let visual = '';
@@ -735,7 +1947,7 @@ class ProductConfigurator extends HTMLElement {
       }
 
       html += `
-        <label class="${cardClass} ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''}" ${isDisabled ? 'style="opacity: 0.4; pointer-events: none;"' : ''}>
+        <label class="${cardClass} ${isSelected ? 'selected' : ''} ${isDisabled ? 'disabled' : ''} ${hasConflict ? 'has-conflict' : ''}" ${isDisabled ? 'style="opacity: 0.4; pointer-events: none;"' : ''}>
           <input type="radio" name="${fieldName}_${index}" value="${opt.id}" data-field="${fieldName}" ${
             isSelected ? 'checked' : ''
           } ${isDisabled ? 'disabled' : ''} class="hidden-input">
@@ -743,10 +1955,11 @@ class ProductConfigurator extends HTMLElement {
           <div class="card-text-wrapper">
             <span class="card-title">${opt.title}</span>
             ${opt.desc ? `<span class="card-price">${opt.desc}</span>` : ''}
+            ${hasConflict ? `<span class="card-conflict">${window.ScreenluxTranslations.dimensions.notForThisSize || 'Not available for this size'}</span>` : ''}
             ${opt.extraPrice && opt.extraPrice > 0 ? `
               <div style="margin-top: 4px; display: flex; align-items: center; gap: 4px; flex-wrap: wrap;">
-                ${opt.extraCompareAtPrice && opt.extraCompareAtPrice > opt.extraPrice ? `<span class="card-price old-price" style="text-decoration: line-through; color: var(--sl-text-subdued); font-size: 12px; font-weight: 400;">+${(opt.extraCompareAtPrice / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}</span>` : ''}
-                <span class="card-price" style="font-weight: 600; font-size: 14px; color: #171717;">+${(opt.extraPrice / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}</span>
+                ${opt.extraCompareAtPrice && opt.extraCompareAtPrice > opt.extraPrice ? `<span class="card-price old-price" style="text-decoration: line-through; color: var(--sl-text-subdued); font-size: 12px; font-weight: 400;">+${this.formatPrice(opt.extraCompareAtPrice)}</span>` : ''}
+                <span class="card-price" style="font-weight: 600; font-size: 14px; color: #171717;">+${this.formatPrice(opt.extraPrice)}</span>
               </div>
             ` : ''}
           </div>
@@ -760,60 +1973,33 @@ class ProductConfigurator extends HTMLElement {
 
   renderScreenItem(screen, index) {
     const wrapper = document.createElement('details-accordion');
-    const rawCost = window.ScreenluxEngine.calculateScreenPrice(screen, this.data.config);
-
-    const variant = window.ScreenluxEngine.matchVariant(rawCost, this.data.screens);
-    const price = variant ? variant.price : rawCost;
-    const compareAtPrice = variant ? variant.compare_at_price : price;
-
-    console.log('SCREEN DEBUG', {
-      width: screen.width,
-      height: screen.height,
-      cassetteSize: screen.cassetteSize,
-      motor: screen.motor,
-      frameColor: screen.frameColor,
-      fabricColor: screen.fabricColor,
-      fabricType: screen.fabricType,
-      rawCost,
-      matchedVariantId: variant?.id,
-      matchedVariantTitle: variant?.title,
-      matchedVariantPrice: variant?.price,
-      finalDisplayedPrice: price
-    });
+    wrapper.dataset.screenId = screen.id;
+    const breakdown = this.getScreenPricing(screen);
+    const price = breakdown.price;
+    const compareAtPrice = breakdown.compareAtPrice;
 
     const frameOptions = this.data.frameColors || [];
     const fabricColors = this.data.fabricColors || [];
     
-    // Calculate extra prices for options based on actual variant sale prices (with discounts)
-    const getBasePrices = (field, optionsArray) => {
-      if (!optionsArray || optionsArray.length === 0) return { price: 0, compareAtPrice: 0 };
-      let minPrice = Infinity;
-      let minCompareAtPrice = Infinity;
-      optionsArray.forEach(opt => {
-        const raw = window.ScreenluxEngine.calculateScreenPrice({ ...screen, [field]: opt.id }, this.data.config);
-        const variant = window.ScreenluxEngine.matchVariant(raw, this.data.screens);
-        const actualPrice = variant ? variant.price : raw;
-        // Default to price if compare_at_price is not set or 0
-        const compareAtPrice = (variant && variant.compare_at_price > 0) ? variant.compare_at_price : actualPrice;
-        if (actualPrice < minPrice) minPrice = actualPrice;
-        if (compareAtPrice < minCompareAtPrice) minCompareAtPrice = compareAtPrice;
-      });
-      return { price: minPrice, compareAtPrice: minCompareAtPrice };
-    };
-
+    // Calculate extra prices for options based on actual variant sale prices (with discounts).
+    // Options are priced from this screen's breakdown instead of re-running the engine per option.
     const mapExtraPrice = (field, optionsArray) => {
-      const bases = getBasePrices(field, optionsArray);
-      return (optionsArray || []).map(opt => {
-        const raw = window.ScreenluxEngine.calculateScreenPrice({ ...screen, [field]: opt.id }, this.data.config);
-        const variant = window.ScreenluxEngine.matchVariant(raw, this.data.screens);
-        const actualPrice = variant ? variant.price : raw;
-        const compareAtPrice = (variant && variant.compare_at_price > 0) ? variant.compare_at_price : actualPrice;
-        return { 
-          ...opt, 
-          extraPrice: Math.max(0, actualPrice - bases.price),
-          extraCompareAtPrice: Math.max(0, compareAtPrice - bases.compareAtPrice)
-        };
-      });
+      const priced = window.ScreenluxEngine.getOptionPrices(
+        breakdown,
+        field,
+        optionsArray,
+        this.data.config,
+        this.data.screens,
+        this.data.increments,
+      );
+      if (priced.length === 0) return [];
+      const basePrice = Math.min(...priced.map((p) => p.price));
+      const baseCompareAtPrice = Math.min(...priced.map((p) => p.compareAtPrice));
+      return optionsArray.map((opt, i) => ({
+        ...opt,
+        extraPrice: Math.max(0, priced[i].price - basePrice),
+        extraCompareAtPrice: Math.max(0, priced[i].compareAtPrice - baseCompareAtPrice),
+      }));
     };
 
     const fabricTypes = mapExtraPrice('fabricType', this.data.fabrics);
@@ -857,16 +2043,34 @@ class ProductConfigurator extends HTMLElement {
       <details ${screen.expanded ? 'open' : ''} class="${screen.valid ? '' : 'invalid'}">
         <summary>
           <div class="screen-summary-container">
+              ${
+                this.state.screens.length > 1
+                  ? `<button type="button" class="screen-drag-handle" aria-label="${(window.ScreenluxTranslations.reorder?.handle || 'Move [SCREEN]').replace('[SCREEN]', this.escapeHtml(this.getScreenLabel(index)))}" aria-describedby="screenlux-reorder-hint">
+                      <svg width="12" height="18" viewBox="0 0 12 18" fill="currentColor" aria-hidden="true"><circle cx="3" cy="3" r="1.5"/><circle cx="9" cy="3" r="1.5"/><circle cx="3" cy="9" r="1.5"/><circle cx="9" cy="9" r="1.5"/><circle cx="3" cy="15" r="1.5"/><circle cx="9" cy="15" r="1.5"/></svg>
+                    </button>`
+                  : ''
+              }
               <div class="screen-info">
-                <span class="screen-title">${window.ScreenluxTranslations.screenSummary.prefix} ${index + 1}</span>
+                ${
+                  this.state.bulkSelection
+                    ? `<input type="checkbox" class="bulk-select-checkbox" aria-label="${window.ScreenluxTranslations.bulk?.select || 'Select'}" ${this.state.bulkSelection.includes(screen.id) ? 'checked' : ''}>`
+                    : ''
+                }
+                <span class="screen-title">${window.ScreenluxTranslations.screenSummary.prefix} ${index + 1}${screen.reference ? ` · ${this.escapeHtml(screen.reference)}` : ''}</span>
+                ${screen.room ? `<span class="screen-room-chip">${this.escapeHtml(screen.room)}</span>` : ''}
+                ${
+                  screen.linkedTo && this.state.screens.some((s) => s.id === screen.linkedTo)
+                    ? `<span class="screen-room-chip screen-link-chip">🔗 ${(window.ScreenluxTranslations.linking?.chip || 'Same as [MASTER]').replace('[MASTER]', this.escapeHtml(this.getScreenLabel(this.state.screens.findIndex((s) => s.id === screen.linkedTo))))}</span>`
+                    : ''
+                }
                 <div class="screen-summary-list" style="margin-top: 4px;">
                    ${summaryItems.map((item) => `<div class="${item.class}" style="color: var(--sl-text-secondary); font-size: 14px;">${item.text}</div>`).join('')}
                 </div>
              </div>
              <div class="screen-price-container" style="display:flex; align-items:center;">
                  <div class="price-group" style="display:flex; flex-direction:column; align-items:flex-end; margin-right:8px;">
-                     ${compareAtPrice > price ? `<span class="price-old" style="font-size:12px; text-decoration:line-through; color:var(--sl-text-subdued); line-height:1; margin-bottom:2px;">${(compareAtPrice / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}</span>` : ''}
-                     <span class="screen-price" style="line-height:1;">${(price / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}</span>
+                     ${compareAtPrice > price ? `<span class="price-old" style="font-size:12px; text-decoration:line-through; color:var(--sl-text-subdued); line-height:1; margin-bottom:2px;">${this.formatPrice(compareAtPrice)}</span>` : ''}
+                     <span class="screen-price" style="line-height:1;">${this.formatPrice(price)}</span>
                  </div>
                  <svg class="accordion-chevron" width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
                     <path d="M6 9L12 15L18 9" stroke="#171717" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
@@ -875,6 +2079,29 @@ class ProductConfigurator extends HTMLElement {
           </div>
         </summary>
         <div class="accordion-body accordion__content">
+           <!-- Name & Room -->
+           <div class="grid-2 screen-naming">
+             <div class="field">
+               <label class="field-label">${window.ScreenluxTranslations.naming?.name || 'Name'}</label>
+               <input type="text"
+                      value="${this.escapeHtml(screen.reference || '')}"
+                      placeholder="${window.ScreenluxTranslations.naming?.namePlaceholder || ''}"
+                      maxlength="40"
+                      data-field="reference"
+                      class="sl-input">
+             </div>
+             <div class="field">
+               <label class="field-label">${window.ScreenluxTranslations.naming?.room || 'Room / floor'}</label>
+               <input type="text"
+                      value="${this.escapeHtml(screen.room || '')}"
+                      placeholder="${window.ScreenluxTranslations.naming?.roomPlaceholder || ''}"
+                      maxlength="40"
+                      list="screenlux-rooms"
+                      data-field="room"
+                      class="sl-input">
+             </div>
+           </div>
+
            <!-- Dimensions -->
            <div class="grid-2"> 
              <div class="field">
@@ -882,14 +2109,14 @@ class ProductConfigurator extends HTMLElement {
                <input type="number" 
                       value="${screen.width}" 
                       data-field="width" 
-                      class="sl-input ${screen.errors.dimension && !screen.width ? 'error' : ''}">
+                      class="sl-input ${screen.errors.width ? 'error' : ''}">
              </div>
              <div class="field">
                <label class="field-label">${window.ScreenluxTranslations.dimensions.height}</label>
                <input type="number" 
                       value="${screen.height}" 
                       data-field="height"
-                      class="sl-input ${screen.errors.dimension && !screen.height ? 'error' : ''}">
+                      class="sl-input ${screen.errors.height ? 'error' : ''}">
              </div>
            </div>
            
@@ -908,37 +2135,40 @@ class ProductConfigurator extends HTMLElement {
            
            ${
              !screen.valid
-               ? `<div class="text-xs margin-top-xs" style="color:var(--sl-color-error)">⚠️ ${
-                   screen.errors.dimension || window.ScreenluxTranslations.dimensions.invalid
-                 }</div>`
+               ? Object.values(screen.errors)
+                   .map(
+                     (error) => {
+                       const resolvingOption = error.option ? this.findResolvingOption(screen, error.option.field) : null;
+                       return `<div class="text-xs margin-top-xs" style="color:var(--sl-color-error)">⚠️ ${this.getValidationMessage(error)}
+                       ${error.suggestion ? `<button type="button" class="btn-text dimension-suggestion-btn" data-suggest-field="${error.field}" data-suggest-value="${error.suggestion}">${(window.ScreenluxTranslations.dimensions.useSuggestion || 'Use [VALUE] mm').replace('[VALUE]', error.suggestion)}</button>` : ''}
+                       ${resolvingOption ? `<button type="button" class="btn-text dimension-suggestion-btn" data-suggest-field="${error.option.field}" data-suggest-value="${resolvingOption.id}">${(window.ScreenluxTranslations.dimensions.switchOption || 'Switch to [OPTION]').replace('[OPTION]', resolvingOption.title)}</button>` : ''}
+                     </div>`;
+                     },
+                   )
+                   .join('') || `<div class="text-xs margin-top-xs" style="color:var(--sl-color-error)">⚠️ ${window.ScreenluxTranslations.dimensions.invalid}</div>`
                : ''
            }
            
-           <!-- Cassette Size Selector -->
-           ${(() => {
-               // Mark slim as disabled if dimensions exceed 3000x2300mm
-               const isTooLargeForSlim = screen.width > 3000 || screen.height > 2300;
-
-               const cassetteSizesWithAvailability = cassetteSizes.map(opt => ({
-                 ...opt,
-                 disabled: opt.id === 'slim' && isTooLargeForSlim
-               }));
-
-               // Auto-switch to large if slim is selected but disabled
-               if (screen.cassetteSize === 'slim' && isTooLargeForSlim) {
-                screen.cassetteSize = 'large';
-              }
+           ${
+             breakdown.needsQuote
+               ? `<div class="text-xs margin-top-xs" style="color:var(--sl-color-error)">⚠️ ${window.ScreenluxTranslations.orderSummary.needsQuoteScreen}</div>`
+               : ''
+           }
+
+           ${this.renderCheaperSizes(screen)}
 
-              return this.renderSelectionGrid(
-                window.ScreenluxTranslations.options.cassetteSize,
-                'cassetteSize',
-                cassetteSizesWithAvailability,
-                screen.cassetteSize,
-                index,
-                'image',
-                'vertical',
-              );
-            })()}
+           ${this.renderLinkControl(screen, index)}
+
+           <!-- Cassette Size Selector -->
+           ${this.renderSelectionGrid(
+             window.ScreenluxTranslations.options.cassetteSize,
+             'cassetteSize',
+             this.markOptionConflicts(screen, 'cassetteSize', cassetteSizes),
+             screen.cassetteSize,
+             index,
+             'image',
+             'vertical',
+           )}
 
            <!-- Frame Color Selector -->
            ${this.renderSelectionGrid(
@@ -966,7 +2196,7 @@ class ProductConfigurator extends HTMLElement {
            ${this.renderSelectionGrid(
              window.ScreenluxTranslations.options.fabricTransparency,
              'fabricType',
-             fabricTypes,
+             this.markOptionConflicts(screen, 'fabricType', fabricTypes),
              screen.fabricType,
              index,
              'image',
@@ -974,13 +2204,13 @@ class ProductConfigurator extends HTMLElement {
            )}
 
            <!-- Motor Selector -->
-           ${this.renderSelectionGrid(window.ScreenluxTranslations.options.motor, 'motor', motorOptions, screen.motor, index, 'image', 'vertical')}
+           ${this.renderSelectionGrid(window.ScreenluxTranslations.options.motor, 'motor', this.markOptionConflicts(screen, 'motor', motorOptions), screen.motor, index, 'image', 'vertical')}
 
            <!-- Cable Exit Selector -->
            ${screen.motor === 'wired' && cableExitOptions.length > 0 ? this.renderSelectionGrid(window.ScreenluxTranslations.options.cableExitDirection, 'cableExit', cableExitOptions, screen.cableExit, index, 'image', 'vertical') : ''}
            
-           <!-- Mounting Bracket Selector (NO Market Only) -->
-           ${(window.ScreenluxData.config && window.ScreenluxData.config.currencyCode === 'NOK') ? (() => {
+           <!-- Mounting Bracket Selector (markets with bracket pricing only) -->
+           ${window.ScreenluxEngine.hasMountingBrackets(this.data.config) ? (() => {
              const frameColor = screen.frameColor || 'anthracite';
              const bracketOptions = (this.data.bracketOptions || []).map(opt => {
                let img = null;
@@ -990,19 +2220,10 @@ class ProductConfigurator extends HTMLElement {
                return { ...opt, image: img };
              });
              
-             const bases = getBasePrices('mountingBracket', bracketOptions);
-             const bracketOptionsWithPrice = bracketOptions.map(opt => {
-               const raw = window.ScreenluxEngine.calculateScreenPrice({ ...screen, mountingBracket: opt.id }, this.data.config);
-               const variant = window.ScreenluxEngine.matchVariant(raw, this.data.screens);
-               const actualPrice = variant ? variant.price : raw;
-               const compareAtPrice = (variant && variant.compare_at_price > 0) ? variant.compare_at_price : actualPrice;
-               return { 
-                 ...opt,
-                 desc: opt.id !== 'none' ? `${window.ScreenluxTranslations.options.setOf || 'Sett med'} ${screen.height > 2700 ? 8 : 6}x ${opt.title.toLowerCase()}` : undefined,
-                 extraPrice: Math.max(0, actualPrice - bases.price),
-                 extraCompareAtPrice: Math.max(0, compareAtPrice - bases.compareAtPrice)
-               };
-             });
+             const bracketOptionsWithPrice = mapExtraPrice('mountingBracket', bracketOptions).map(opt => ({
+               ...opt,
+               desc: opt.id !== 'none' ? `${window.ScreenluxTranslations.options.setOf || 'Sett med'} ${screen.height > 2700 ? 8 : 6}x ${opt.title.toLowerCase()}` : undefined,
+             }));
 
              return this.renderSelectionGrid(
                window.ScreenluxTranslations.options.mountingBrackets || 'Monteringsbraketter',
@@ -1015,8 +2236,11 @@ class ProductConfigurator extends HTMLElement {
              );
            })() : ''}
            
+           <!-- Price Breakdown -->
+           ${this.renderPriceBreakdown(breakdown)}
+
            <!-- Actions -->
-           <div class="margin-top-md" style="display:flex; justify-content: space-between; align-items: center;">
+           <div class="margin-top-md" style="display:${this.state.editingLine ? 'none' : 'flex'}; justify-content: space-between; align-items: center;">
               <button type="button" class="btn btn-text remove-screen-btn" style="color:var(--sl-color-error); padding:0; width:auto; display: inline-flex; align-items: center;">
                 <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg" style="margin-right: 6px;">
                   <g clip-path="url(#clip0_128_400)">
@@ -1041,50 +2265,6 @@ class ProductConfigurator extends HTMLElement {
       </details>
     `;
 
-    // Remove Listener
-    const removeBtn = wrapper.querySelector('.remove-screen-btn');
-    if (removeBtn) {
-      removeBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.removeScreen(index);
-      });
-    }
-
-    // Duplicate Listener
-    const duplicateBtn = wrapper.querySelector('.duplicate-screen-btn');
-    if (duplicateBtn) {
-      duplicateBtn.addEventListener('click', (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-        this.handleDuplicateScreen(index);
-      });
-    }
-
-    // Event Delegation for inputs
-    wrapper.querySelectorAll('input').forEach((input) => {
-      input.addEventListener('change', (e) => {
-        const field = e.target.dataset.field;
-        if (field) {
-          const val = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
-          this.updateScreen(index, field, val);
-        }
-      });
-
-      // Jump to SVG configurator when measurement inputs are focused
-      if (input.dataset.field === 'width' || input.dataset.field === 'height') {
-        input.addEventListener('focus', () => {
-          this.jumpToSVGConfigurator();
-        });
-      }
-    });
-
-    // Handle Summary Click manually for Accordion State
-    wrapper.querySelector('summary').addEventListener('click', (e) => {
-      e.preventDefault();
-      this.toggleScreenAccordion(index);
-    });
-
     return wrapper;
   }
 
@@ -1136,7 +2316,7 @@ class ProductConfigurator extends HTMLElement {
              </li>
            </ul>
            <div class="info-card-footer">
-             <span class="info-card-footer-text">${window.ScreenluxTranslations.tipFooterHtml.replace(/12\.000\s?kr|1200\s?€|1\.200\s?€|1,200\s?€|1200/g, '~ ' + (savings / 100).toFixed(0) + ' ' + (window.ScreenluxData?.config?.currencySymbol || '€'))}</span>
+             <span class="info-card-footer-text">${window.ScreenluxTranslations.tipFooterHtml.replace(/12\.000\s?kr|1200\s?€|1\.200\s?€|1,200\s?€|1200/g, '~ ' + this.formatPrice(savings))}</span>
              <button type="button" class="info-card-btn">${window.ScreenluxTranslations.switchToSolar}</button>
            </div>
         </div>
@@ -1157,7 +2337,7 @@ class ProductConfigurator extends HTMLElement {
     const savingsOptions = estInstallPrice > allSolarEstForOptions ? estInstallPrice - allSolarEstForOptions : 0;
 
     const profDesc = window.ScreenluxTranslations.installationProfessional.desc;
-    const profPriceFormat = `~ ${(estInstallPrice / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}`;
+    const profPriceFormat = `~ ${this.formatPrice(estInstallPrice)}`;
     const profNote = savingsOptions > 0 ? window.ScreenluxTranslations.installationProfessional.note : '';
 
     // Installation type options
@@ -1246,7 +2426,7 @@ class ProductConfigurator extends HTMLElement {
     const priceText =
       bracket.price === 0
         ? '<span style="background-color: #A7F3D0; color: #064E3B; padding: 2px 8px; border-radius: 4px; font-size: 12px; font-weight: 600;">Free</span>'
-        : `${(bracket.price / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'} per screen`;
+        : `${this.formatPrice(bracket.price)} per screen`;
 
     // Custom image for Unsure or bracket image
     let imageHtml = '';
@@ -1329,8 +2509,8 @@ class ProductConfigurator extends HTMLElement {
     card.className = `product-card margin-top-sm ${quantity > 0 ? 'selected' : ''}`;
 
     const factor = quantity > 0 ? quantity : 1;
-    const displayPrice = ((item.price * factor) / 100).toFixed(0);
-    const displayCompareAtPrice = ((item.compare_at_price * factor) / 100).toFixed(0);
+    const displayPrice = this.formatPrice(item.price * factor);
+    const displayCompareAtPrice = this.formatPrice(item.compare_at_price * factor);
 
     card.innerHTML = `
       <div class="product-card__image">
@@ -1344,8 +2524,8 @@ class ProductConfigurator extends HTMLElement {
         <div class="product-card__title">${item.title}</div>
         <div class="product-card__desc">${item.description || ''}</div>
         <div class="product-card__price-wrapper" style="display:flex; flex-direction:column; align-items:flex-start; margin-top:4px;">
-           ${item.compare_at_price > item.price ? `<span class="price-old" style="font-size:12px; text-decoration:line-through; color:var(--sl-text-subdued); line-height:1; margin-bottom:2px;">${displayCompareAtPrice} ${window.ScreenluxData?.config?.currencySymbol || '€'}</span>` : ''}
-           <div class="product-card__price" style="line-height:1;">${displayPrice} ${window.ScreenluxData?.config?.currencySymbol || '€'}</div>
+           ${item.compare_at_price > item.price ? `<span class="price-old" style="font-size:12px; text-decoration:line-through; color:var(--sl-text-subdued); line-height:1; margin-bottom:2px;">${displayCompareAtPrice}</span>` : ''}
+           <div class="product-card__price" style="line-height:1;">${displayPrice}</div>
         </div>
         
         <div class="product-card__actions">
@@ -1365,6 +2545,7 @@ class ProductConfigurator extends HTMLElement {
     const addBtn = card.querySelector('.btn-add-extra');
     if (addBtn) {
       addBtn.addEventListener('click', () => {
+        this.recordHistory(item.title);
         if (!this.state[dataKey]) this.state[dataKey] = {};
         this.state[dataKey][item.id] = 1;
         this.render();
@@ -1375,6 +2556,7 @@ class ProductConfigurator extends HTMLElement {
     if (minusBtn) {
       minusBtn.addEventListener('click', () => {
         if (this.state[dataKey][item.id] > 0) {
+          this.recordHistory(item.title);
           this.state[dataKey][item.id]--;
           if (this.state[dataKey][item.id] === 0) {
             delete this.state[dataKey][item.id];
@@ -1387,6 +2569,7 @@ class ProductConfigurator extends HTMLElement {
     const plusBtn = card.querySelector('.qty-plus');
     if (plusBtn) {
       plusBtn.addEventListener('click', () => {
+        this.recordHistory(item.title);
         this.state[dataKey][item.id]++;
         this.render();
       });
@@ -1395,30 +2578,185 @@ class ProductConfigurator extends HTMLElement {
     return card;
   }
 
+  /**
+   * Translated message for a validation error from ScreenluxEngine.validateDimensions().
+   */
+  getValidationMessage(error) {
+    const messages = window.ScreenluxTranslations.dimensions.errors || {};
+    const template = messages[error.code] || window.ScreenluxTranslations.dimensions.invalid;
+    let message = template.replace('[LIMIT]', error.limit).replace('[VALUE]', error.value);
+
+    if (error.option) {
+      const option = (this.getOptionList(error.option.field) || []).find((o) => o.id === error.option.id);
+      const conflict = messages.option_conflict || 'not possible with [OPTION]';
+      message += ` — ${conflict.replace('[OPTION]', option ? option.title : error.option.id)}`;
+    }
+    return message;
+  }
+
+  /**
+   * Option list in ScreenluxData for a screen field.
+   */
+  getOptionList(field) {
+    const lists = {
+      cassetteSize: this.data.cassetteSizes,
+      motor: this.data.motorOptions,
+      fabricType: this.data.fabrics,
+      frameColor: this.data.frameColors,
+      fabricColor: this.data.fabricColors,
+      cableExit: this.data.cableExitOptions,
+      mountingBracket: this.data.bracketOptions,
+    };
+    return lists[field] || [];
+  }
+
+  /**
+   * Flags options that would make the screen's current size invalid.
+   */
+  markOptionConflicts(screen, field, options) {
+    if (!screen.width || !screen.height) return options;
+    return options.map((opt) => {
+      const v = window.ScreenluxEngine.validateDimensions(
+        screen.width,
+        screen.height,
+        { ...screen, [field]: opt.id },
+        this.data.config,
+      );
+      return { ...opt, conflict: v.errors.some((error) => error.option && error.option.field === field) };
+    });
+  }
+
+  /**
+   * First option of a field that makes the current size valid, or null.
+   */
+  findResolvingOption(screen, field) {
+    return (
+      this.getOptionList(field).find(
+        (opt) =>
+          opt.id !== screen[field] &&
+          window.ScreenluxEngine.validateDimensions(screen.width, screen.height, { ...screen, [field]: opt.id }, this.data.config)
+            .valid,
+      ) || null
+    );
+  }
+
+  /**
+   * Price-step search range picker plus "reduce width to … and save …" buttons (HTML string).
+   */
+  renderCheaperSizes(screen) {
+    if (!screen.valid) return '';
+
+    const t = window.ScreenluxTranslations.dimensions.cheaperSize || {};
+    const tolerance = this.state.sizeTolerance;
+    const suggestions = window.ScreenluxEngine.findCheaperSizes(
+      screen,
+      this.data.config,
+      this.data.screens,
+      this.data.increments,
+      tolerance,
+    );
+
+    return `
+      <div class="cheaper-sizes text-xs margin-top-xs">
+        <label class="cheaper-sizes__range">
+          ${t.range || 'Look for cheaper sizes'}
+          <select class="size-tolerance-select">
+            ${[0, 10, 20, 50]
+              .map((mm) => `<option value="${mm}" ${mm === tolerance ? 'selected' : ''}>${mm ? (t.smaller || 'up to [MM] mm smaller').replace('[MM]', mm) : t.off || 'Off'}</option>`)
+              .join('')}
+          </select>
+        </label>
+        ${suggestions
+          .map(
+            (s) => `<button type="button" class="btn-text dimension-suggestion-btn" data-suggest-field="${s.field}" data-suggest-value="${s.value}">
+              ${(t[s.field] || 'Reduce to [VALUE] mm and save [SAVINGS]').replace('[VALUE]', s.value).replace('[SAVINGS]', this.formatPrice(s.saving))}
+            </button>`,
+          )
+          .join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Itemized price of one screen incl. the matched price-carrier variant.
+   */
+  getScreenPricing(screen) {
+    // Memoized on the price-relevant fields; rule tables and carriers don't change after load
+    const key = [screen.width, screen.height, screen.fabricType, screen.cassetteSize, screen.motor, screen.mountingBracket].join('|');
+    if (!this._pricingCache) this._pricingCache = new Map();
+    if (!this._pricingCache.has(key)) {
+      if (this._pricingCache.size > 500) this._pricingCache.clear();
+      this._pricingCache.set(
+        key,
+        // Copy: screens are edited in place, the cached breakdown must keep the priced values
+        window.ScreenluxEngine.getPriceBreakdown({ ...screen }, this.data.config, this.data.screens, this.data.increments),
+      );
+    }
+    return this._pricingCache.get(key);
+  }
+
+  /**
+   * "How is this price made up" panel for a screen breakdown (HTML string).
+   */
+  renderPriceBreakdown(breakdown, decimals = 0) {
+    if (!breakdown || !breakdown.valid) return '';
+
+    const t = window.ScreenluxTranslations.priceBreakdown || {};
+    const fmt = (cents) => this.formatPrice(cents, decimals);
+    const signed = (cents) => `${cents < 0 ? '−' : '+'} ${fmt(Math.abs(cents))}`;
+
+    const rows = breakdown.items
+      .filter((item) => item.localAmount !== 0 || item.key === 'base')
+      .map((item) => {
+        let label = t[item.key] || item.key;
+        if (item.key === 'fabric') label += ` (${item.quantity.toFixed(2)} m²)`;
+        if (item.key === 'width' || item.key === 'height') label += ` (${item.quantity.toFixed(2)} m)`;
+        return { label, value: fmt(item.localAmount) };
+      });
+
+    if (breakdown.conversion.rounding !== 0) {
+      rows.push({ label: t.conversion || 'Currency conversion', value: signed(breakdown.conversion.rounding) });
+    }
+    if (breakdown.variant && breakdown.snapDifference !== 0) {
+      rows.push({ label: t.priceStep || 'Price step', value: signed(breakdown.snapDifference) });
+    }
+    if (breakdown.discount > 0) {
+      rows.push({ label: t.discount || 'Discount', value: signed(-breakdown.discount) });
+    }
+
+    return `
+      <details class="price-breakdown margin-top-md">
+        <summary class="price-breakdown__toggle">${t.title || 'How is this price made up?'}</summary>
+        <div class="price-breakdown__rows">
+          ${rows
+            .map(
+              (row) => `
+            <div class="price-breakdown__row">
+              <span>${row.label}</span>
+              <span>${row.value}</span>
+            </div>`,
+            )
+            .join('')}
+          <div class="price-breakdown__row price-breakdown__row--total">
+            <span>${t.total || 'Price'}</span>
+            <span>${fmt(breakdown.price)}</span>
+          </div>
+        </div>
+      </details>
+    `;
+  }
+
   getEstimatedInstallationPrice(screens) {
     if (!screens || screens.length === 0) return 0;
     const hasWired = screens.some((s) => s.motor !== 'solar');
     const numScreens = screens.length;
     
-    const config = window.ScreenluxData?.config || {};
-    let wiredBase, wiredExtra, solarBase, solarExtra;
-
-    if (config.currencyCode === 'NOK') {
-      wiredBase = config.install_wired_base_nok || 799900;
-      wiredExtra = config.install_wired_extra_nok || 280000;
-      solarBase = config.install_solar_base_nok || 340000;
-      solarExtra = config.install_solar_extra_nok || 115000;
-    } else {
-      wiredBase = config.install_wired_base_eur || 69900;
-      wiredExtra = config.install_wired_extra_eur || 25000;
-      solarBase = config.install_solar_base_eur || 29900;
-      solarExtra = config.install_solar_extra_eur || 10000;
-    }
+    const rates = window.ScreenluxEngine.getInstallationRates(this.data.config);
 
     if (hasWired) {
-      return wiredBase + (numScreens - 1) * wiredExtra;
+      return rates.wired.base + (numScreens - 1) * rates.wired.extra;
     } else {
-      return solarBase + numScreens * solarExtra;
+      return rates.solar.base + numScreens * rates.solar.extra;
     }
   }
 
@@ -1426,14 +2764,11 @@ class ProductConfigurator extends HTMLElement {
     let screensTotal = 0;
     let oldScreensTotal = 0;
     this.state.screens.forEach((s) => {
-      const rawCost = window.ScreenluxEngine.calculateScreenPrice(s, this.data.config);
-      const variant = window.ScreenluxEngine.matchVariant(rawCost, this.data.screens);
-      
+      const pricing = this.getScreenPricing(s);
+
       // Use compare_at_price for total calculation
-      const compareAtPrice = variant && variant.compare_at_price > 0 ? variant.compare_at_price : variant.price;
-      
-      screensTotal += variant.price;
-      oldScreensTotal += compareAtPrice;
+      screensTotal += pricing.price;
+      oldScreensTotal += pricing.compareAtPrice;
     });
 
     let installTotal = 0;
@@ -1470,12 +2805,15 @@ class ProductConfigurator extends HTMLElement {
       });
     }
 
+    const volumeDiscount = window.ScreenluxEngine.getVolumeDiscount(this.state.screens, screensTotal, this.data.config);
+
     const extraTotal = bracketsTotal + steuerungTotal + automatisierungTotal;
-    const grandTotal = screensTotal + installTotal + extraTotal;
+    const grandTotal = screensTotal - volumeDiscount.amount + installTotal + extraTotal;
     const oldGrandTotal = oldScreensTotal + installTotal + extraTotal;
     return {
       screensTotal,
       oldScreensTotal,
+      volumeDiscount,
       installTotal,
       bracketsTotal,
       steuerungTotal,
@@ -1488,7 +2826,7 @@ class ProductConfigurator extends HTMLElement {
 
   renderExtraCategorySummary(list, totalsData, dataKey, titleKey, expandedKey) {
     const itemsCount = Object.values(this.state[dataKey] || {}).reduce((a, b) => a + b, 0);
-    const fmt = (cents) => `${(cents / 100).toFixed(2)} ${window.ScreenluxData?.config?.currencySymbol || '€'}`;
+    const fmt = (cents) => this.formatPrice(cents, 2);
     
     if (itemsCount > 0) {
       const category = document.createElement('div');
@@ -1533,7 +2871,7 @@ class ProductConfigurator extends HTMLElement {
 
   renderOrderSummary() {
     const totals = this.calculateTotals();
-    const fmt = (cents) => `${(cents / 100).toFixed(2)} ${window.ScreenluxData?.config?.currencySymbol || '€'}`;
+    const fmt = (cents) => this.formatPrice(cents, 2);
 
     const section = document.createElement('div');
     section.className = 'order-summary-box margin-top-lg';
@@ -1565,17 +2903,32 @@ class ProductConfigurator extends HTMLElement {
     if (this.state.screensExpanded) {
       const screensDetails = document.createElement('div');
       screensDetails.className = 'category-details';
-      this.state.screens.forEach((s, i) => {
-        const rawCost = window.ScreenluxEngine.calculateScreenPrice(s, this.data.config);
-        const variant = window.ScreenluxEngine.matchVariant(rawCost, this.data.screens);
-        const sPrice = variant ? variant.price : 0;
-        const detailRow = document.createElement('div');
-        detailRow.className = 'summary-row detail-row';
-        detailRow.innerHTML = `
-          <span class="detail-label">Screen ${i + 1}: ${s.width}×${s.height}mm</span>
-          <span class="detail-price">${fmt(sPrice)}</span>
-        `;
-        screensDetails.appendChild(detailRow);
+      const groups = this.getRoomGroups();
+      const showRooms = groups.some((group) => group.room);
+      groups.forEach((group) => {
+        if (showRooms) {
+          const roomRow = document.createElement('div');
+          roomRow.className = 'summary-room-title';
+          roomRow.textContent = group.room || window.ScreenluxTranslations.naming?.noRoom || 'Other';
+          screensDetails.appendChild(roomRow);
+        }
+
+        group.indices.forEach((i) => {
+          const s = this.state.screens[i];
+          const pricing = this.getScreenPricing(s);
+          const sPrice = pricing.variant ? pricing.price : 0;
+          const detailRow = document.createElement('div');
+          detailRow.className = 'summary-row detail-row';
+          detailRow.innerHTML = `
+            <span class="detail-label">${this.escapeHtml(this.getScreenLabel(i))}: ${s.width}×${s.height}mm</span>
+            <span class="detail-price">${fmt(sPrice)}</span>
+          `;
+          screensDetails.appendChild(detailRow);
+
+          const breakdownWrapper = document.createElement('div');
+          breakdownWrapper.innerHTML = this.renderPriceBreakdown(pricing, 2);
+          if (breakdownWrapper.firstElementChild) screensDetails.appendChild(breakdownWrapper.firstElementChild);
+        });
       });
       screensCategory.appendChild(screensDetails);
     }
@@ -1624,6 +2977,33 @@ class ProductConfigurator extends HTMLElement {
       list.appendChild(installCategory);
     }
 
+    // 3.5 Volume Discount
+    const { volumeDiscount } = totals;
+    if (volumeDiscount.amount > 0) {
+      const discountRow = document.createElement('div');
+      discountRow.className = 'summary-row detail-row volume-discount-row';
+      discountRow.innerHTML = `
+        <span class="detail-label">${(window.ScreenluxTranslations.orderSummary.volumeDiscount || 'Volume discount ([PERCENT]%)').replace('[PERCENT]', volumeDiscount.percent)}</span>
+        <span class="detail-price">− ${fmt(volumeDiscount.amount)}</span>
+      `;
+      list.appendChild(discountRow);
+    }
+    if (volumeDiscount.nextTier) {
+      const missing =
+        volumeDiscount.basis === 'area'
+          ? `${(volumeDiscount.nextTier.min - volumeDiscount.quantity).toFixed(1)} m²`
+          : volumeDiscount.nextTier.min - volumeDiscount.quantity;
+      const hintRow = document.createElement('div');
+      hintRow.className = 'summary-row volume-discount-hint';
+      hintRow.innerText = (
+        window.ScreenluxTranslations.orderSummary[volumeDiscount.basis === 'area' ? 'volumeDiscountNextArea' : 'volumeDiscountNext'] ||
+        'Add [MISSING] more to save [PERCENT]%'
+      )
+        .replace('[MISSING]', missing)
+        .replace('[PERCENT]', volumeDiscount.nextTier.percent);
+      list.appendChild(hintRow);
+    }
+
     // 4. Total (excludes professional installation — that's billed separately)
     const totalRow = document.createElement('div');
     totalRow.className = 'summary-row total';
@@ -1636,6 +3016,19 @@ class ProductConfigurator extends HTMLElement {
     `;
     list.appendChild(totalRow);
 
+    // 4a. Net / VAT / Gross
+    const vat = window.ScreenluxEngine.splitVat(totals.grandTotal, this.data.config);
+    const money = (cents) => window.ScreenluxEngine.formatMoney(cents, this.data.config, 2);
+    const vatT = window.ScreenluxTranslations.vat || {};
+    const vatRows = document.createElement('div');
+    vatRows.className = 'vat-summary';
+    vatRows.innerHTML = `
+      <div class="summary-row detail-row"><span class="detail-label">${vatT.netTotal || 'Net'}</span><span class="detail-price">${money(vat.net)}</span></div>
+      <div class="summary-row detail-row"><span class="detail-label">${(vatT.vatAmount || 'VAT ([RATE]%)').replace('[RATE]', vat.rate)}</span><span class="detail-price">${money(vat.vat)}</span></div>
+      <div class="summary-row detail-row"><span class="detail-label">${vatT.grossTotal || 'Gross'}</span><span class="detail-price">${money(vat.gross)}</span></div>
+    `;
+    list.appendChild(vatRows);
+
     // 4b. Professional Installation — separate card below total
     if (this.state.installationType === 'professional' && totals.estimatedInstallTotal > 0) {
       const installCard = document.createElement('div');
@@ -1666,16 +3059,71 @@ class ProductConfigurator extends HTMLElement {
     section.appendChild(shippingInfo);
 
     // 6. Checkout Button
-    const allValid = this.state.screens.every((s) => s.valid);
+    const allDimensionsValid = this.state.screens.every((s) => s.valid);
+    const needsQuote = this.state.screens.some((s) => this.getScreenPricing(s).needsQuote);
+    const allValid = allDimensionsValid && !needsQuote;
     const cartBtn = document.createElement('button');
     cartBtn.className = `btn btn-primary margin-top-md ${!allValid ? 'btn-disabled' : ''}`;
-    cartBtn.innerText = allValid
-      ? `${window.ScreenluxTranslations.orderSummary.continueToPayment} — ${fmt(totals.grandTotal)}`
-      : window.ScreenluxTranslations.orderSummary.pleaseCheckDimensions;
+    // Checkout charges gross prices, whatever the VAT display mode
+    const payable = window.ScreenluxEngine.formatMoney(totals.grandTotal, this.data.config, 2);
+    if (allValid) {
+      cartBtn.innerText = `${window.ScreenluxTranslations.orderSummary.continueToPayment} — ${payable}`;
+    } else {
+      cartBtn.innerText = allDimensionsValid
+        ? window.ScreenluxTranslations.orderSummary.needsQuote
+        : window.ScreenluxTranslations.orderSummary.pleaseCheckDimensions;
+    }
     cartBtn.onclick = allValid ? this.handleAddToCart : null;
+    if (this.state.editingLine && allValid) {
+      cartBtn.innerText = `${window.ScreenluxTranslations.editLine?.save || 'Save changes'} — ${payable}`;
+    }
+    if (this.state.addingToCart) {
+      cartBtn.disabled = true;
+      cartBtn.classList.add('loading');
+      cartBtn.setAttribute('aria-busy', 'true');
+      cartBtn.innerText = window.ScreenluxTranslations.orderSummary.addingToCart || '…';
+    }
 
     section.appendChild(cartBtn);
 
+    // 6a. Add-to-cart error (e.g. sold out)
+    if (this.state.cartError) {
+      const cartError = document.createElement('div');
+      cartError.className = 'cart-error-message text-sm margin-top-xs';
+      cartError.setAttribute('role', 'alert');
+      cartError.textContent = `⚠️ ${this.state.cartError}`;
+      section.appendChild(cartError);
+    }
+
+    // 6b. Share Link
+    const shareBtn = document.createElement('button');
+    shareBtn.type = 'button';
+    shareBtn.className = 'btn-text share-config-btn margin-top-xs';
+    shareBtn.innerText = window.ScreenluxTranslations.share?.button || 'Share configuration';
+    shareBtn.onclick = () => this.handleShare(shareBtn);
+    section.appendChild(shareBtn);
+
+    // 6c. Printable quote (only for a complete, orderable configuration)
+    if (allValid && window.ScreenluxQuote) {
+      const quoteBtn = document.createElement('button');
+      quoteBtn.type = 'button';
+      quoteBtn.className = 'btn-text download-quote-btn margin-top-xs';
+      quoteBtn.innerText = window.ScreenluxTranslations.quote?.button || 'Download quote';
+      quoteBtn.onclick = this.handleDownloadQuote;
+      section.appendChild(quoteBtn);
+    }
+
+    // 6d. Save the quote to the customer account
+    if (allValid && window.ScreenluxQuote && this.data.config.customer?.hasAccount && !this.state.editingLine) {
+      const t = window.ScreenluxTranslations.savedQuotes || {};
+      const saveQuoteBtn = document.createElement('button');
+      saveQuoteBtn.type = 'button';
+      saveQuoteBtn.className = 'btn-text save-quote-btn margin-top-xs';
+      saveQuoteBtn.innerText = this.state.savedQuote ? t.update || 'Update saved quote' : t.save || 'Save quote to my account';
+      saveQuoteBtn.onclick = this.handleSaveQuote;
+      section.appendChild(saveQuoteBtn);
+    }
+
     // 7. Designed in Germany Badge (Removed from inside Summary)
     // if (this.data.assets && this.data.assets.german_badge) { ... }
 
@@ -1711,6 +3159,24 @@ class ProductConfigurator extends HTMLElement {
     return section;
   }
 
+  /**
+   * Screens grouped by their room label, in order of first appearance; unlabelled screens last.
+   * @returns {Array} [{ room, indices }]
+   */
+  getRoomGroups() {
+    const groups = [];
+    this.state.screens.forEach((screen, index) => {
+      const room = screen.room || '';
+      let group = groups.find((g) => g.room === room);
+      if (!group) {
+        group = { room, indices: [] };
+        groups.push(group);
+      }
+      group.indices.push(index);
+    });
+    return groups.sort((a, b) => (a.room ? 0 : 1) - (b.room ? 0 : 1));
+  }
+
   renderStickyBar() {
     const bar = document.createElement('div');
     bar.className = 'sticky-summary-bar';
@@ -1787,11 +3253,17 @@ class ProductConfigurator extends HTMLElement {
     const oldPriceEl = bar.querySelector('.sticky-bar-price-old');
     const priceEl = bar.querySelector('.sticky-bar-price');
     const arrowEl = bar.querySelector('.sticky-bar-arrow');
-    const fmt = (cents) => `${(cents / 100).toFixed(0)} ${window.ScreenluxData?.config?.currencySymbol || '€'}`;
+    const fmt = (cents) => this.formatPrice(cents);
 
     if (isPastScreens) {
       const totals = this.calculateTotals();
       titleEl.innerText = window.ScreenluxTranslations?.orderSummary?.total || 'Gesamtsumme';
+      if (totals.volumeDiscount.percent > 0) {
+        titleEl.innerText += ` (−${totals.volumeDiscount.percent}%)`;
+      }
+      if (this.state.vatMode === 'net') {
+        titleEl.innerText += ` · ${window.ScreenluxTranslations?.vat?.net || 'excl. VAT'}`;
+      }
       
       if (totals.oldGrandTotal > totals.grandTotal) {
         oldPriceEl.innerText = fmt(totals.oldGrandTotal);
@@ -1809,12 +3281,10 @@ class ProductConfigurator extends HTMLElement {
       
       if (screen) {
         titleEl.innerText = `${window.ScreenluxTranslations?.screenSummary?.prefix || 'Screen'} ${screenIndex + 1}`;
+        if (screen.reference) titleEl.innerText += ` · ${screen.reference}`;
         
-        const rawCost = window.ScreenluxEngine.calculateScreenPrice(screen, this.data.config);
-        const variant = window.ScreenluxEngine.matchVariant(rawCost, this.data.screens);
-        const price = variant ? variant.price : rawCost;
-        const compareAtPrice = variant ? (variant.compare_at_price || price) : price;
-        
+        const { price, compareAtPrice } = this.getScreenPricing(screen);
+
         if (compareAtPrice > price) {
           oldPriceEl.innerText = fmt(compareAtPrice);
           oldPriceEl.style.display = 'inline';
@@ -1827,26 +3297,105 @@ class ProductConfigurator extends HTMLElement {
     }
   }
 
-  handleAddToCart = () => {
-    const payload = window.ScreenluxEngine.generateCartPayload(this.state, this.data);
-    const cartUrlInput = this.querySelector('input[name="cart-add-url"]');
-    const cartUrl = cartUrlInput ? cartUrlInput.value : '/cart/add';
-
-    console.log('Adding to cart:', payload);
+  /**
+   * Shows a failed cart request inline and tells other cart components about it.
+   * @param {object} data - error response of the Cart API ({ status, message, description })
+   */
+  reportCartError(data) {
+    if (typeof publish === 'function') {
+      publish(PUB_SUB_EVENTS.cartError, {
+        source: 'product-configurator',
+        errors: data.errors || data.description,
+        message: data.message,
+      });
+    }
+    const t = window.ScreenluxTranslations.orderSummary;
+    this.state.cartError = data.description || data.message || t.cartError || 'Could not add to cart.';
+  }
 
-    fetch(cartUrl + '.js', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-    })
-      .then((r) => r.json())
-      .then((data) => {
-        window.location.href = '/cart';
-      })
-      .catch((err) => {
-        console.error('Cart Error:', err);
-        // Fallback for simulation
+  handleAddToCart = async () => {
+    const editing = this.state.editingLine;
+    if (this.state.addingToCart || (editing && !editing.lines)) return;
+
+    const { items, discountCode, removeKeys, restoreItems } = editing
+      ? this.getEditedLineChanges()
+      : window.ScreenluxEngine.generateCartPayload(this.state, this.data);
+    const t = window.ScreenluxTranslations.orderSummary;
+    // Cart drawer only when the section enables it; otherwise continue to the cart page (always after editing a line)
+    const cart = !editing && this.dataset.openCartDrawer === 'true' ? document.querySelector('cart-drawer') : null;
+    const payload = { items };
+    if (cart) {
+      payload.sections = cart.getSectionsToRender().map((section) => section.id);
+      payload.sections_url = window.location.pathname;
+    }
+    const addToCart = (body) =>
+      fetch(`${this.cartAddUrl}.js`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify(body),
       });
+
+    this.state.addingToCart = true;
+    this.state.cartError = null;
+    this.render();
+
+    // Set when leaving for the cart page; the button stays busy until the page unloads
+    let navigating = false;
+    try {
+      // Shopify stores a visited discount code for the session; the drawer flow applies it up front
+      if (cart && discountCode) {
+        await fetch(`/discount/${encodeURIComponent(discountCode)}`).catch(() => {});
+      }
+
+      // Saving an edit removes the old lines first: Shopify merges an added line into an existing one with the
+      // same variant and properties, so removing them afterwards would take the replacement with them
+      if (editing) {
+        const removal = await fetch(`${(window.routes && window.routes.cart_update_url) || '/cart/update'}.js`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+          body: JSON.stringify({ updates: Object.fromEntries(removeKeys.map((key) => [key, 0])) }),
+        });
+        if (!removal.ok) {
+          this.reportCartError(await removal.json().catch(() => ({})));
+          return;
+        }
+      }
+
+      const response = await addToCart(payload);
+      const data = await response.json();
+
+      // 422: e.g. a sold-out extra or a carrier variant no longer available
+      if (!response.ok || data.status) {
+        // Put the edited line back as it was
+        if (editing) await addToCart({ items: restoreItems }).catch(() => {});
+        this.reportCartError(data);
+        return;
+      }
+
+      if (typeof publish === 'function') {
+        publish(PUB_SUB_EVENTS.cartUpdate, { source: 'product-configurator', cartData: data });
+      }
+
+      if (cart) {
+        cart.classList.remove('is-empty');
+        cart.renderContents(data);
+      } else {
+        const cartUrl = (window.routes && window.routes.cart_url) || '/cart';
+        navigating = true;
+        // Shopify applies the volume discount code and then continues to the cart
+        window.location.href = discountCode
+          ? `/discount/${encodeURIComponent(discountCode)}?redirect=${cartUrl}`
+          : cartUrl;
+      }
+    } catch (err) {
+      console.error('Cart Error:', err);
+      this.state.cartError = t.cartError || 'Could not add to cart.';
+    } finally {
+      if (!navigating) {
+        this.state.addingToCart = false;
+        this.render();
+      }
+    }
   };
 }
 
@@ -0,0 +1,67 @@
+/**
+ * Saved Quotes
+ * Lists the quotes a customer saved from the configurator (sections/main-account.liquid).
+ * Quotes come from the app proxy: GET /apps/quotes → { quotes: [{ id, name, number, savedAt, validUntil, code, screens, totalLabel }] }
+ * Each row reopens the quote in the configurator through its share code.
+ */
+class SavedQuotes extends HTMLElement {
+  connectedCallback() {
+    this.status = this.querySelector('.saved-quotes__status');
+    this.table = this.querySelector('table');
+    this.rowTemplate = this.querySelector('template');
+    this.load();
+  }
+
+  async load() {
+    try {
+      const res = await fetch(this.dataset.proxyUrl);
+      if (!res.ok) throw new Error(`Quote proxy responded ${res.status}`);
+      this.renderQuotes((await res.json()).quotes || []);
+    } catch (e) {
+      console.error('Failed to fetch quotes from customer profile', e);
+      this.status.textContent = this.dataset.errorText;
+    }
+  }
+
+  /**
+   * Configurator link that restores the quote; `quote` lets the configurator update it on save.
+   */
+  getQuoteUrl(quote) {
+    const url = new URL(this.dataset.configuratorUrl, window.location.origin);
+    url.searchParams.set('config', quote.code);
+    url.searchParams.set('quote', quote.id);
+    return url.toString();
+  }
+
+  renderQuotes(quotes) {
+    if (quotes.length === 0) {
+      this.status.textContent = this.dataset.noneText;
+      return;
+    }
+
+    const date = (value) => new Date(value).toLocaleDateString(document.documentElement.lang || undefined);
+    const tbody = this.table.querySelector('tbody');
+    tbody.replaceChildren(
+      ...[...quotes]
+        .sort((a, b) => b.savedAt - a.savedAt)
+        .map((quote) => {
+          const row = this.rowTemplate.content.cloneNode(true);
+          const link = row.querySelector('[data-field="name"] a');
+          link.href = this.getQuoteUrl(quote);
+          link.textContent = quote.name;
+          row.querySelector('[data-field="number"]').textContent = quote.number;
+          row.querySelector('[data-field="date"]').textContent = date(quote.savedAt);
+          row.querySelector('[data-field="valid-until"]').textContent =
+            quote.validUntil < Date.now() ? `${date(quote.validUntil)} (${this.dataset.expiredText})` : date(quote.validUntil);
+          row.querySelector('[data-field="screens"]').textContent = quote.screens;
+          row.querySelector('[data-field="total"]').textContent = quote.totalLabel;
+          return row;
+        }),
+    );
+
+    this.status.hidden = true;
+    this.table.hidden = false;
+  }
+}
+
+customElements.define('saved-quotes', SavedQuotes);
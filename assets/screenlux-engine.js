@@ -12,142 +12,825 @@ window.ScreenluxEngine = {
     maxWidth: 5000,
     minHeight: 600,
     maxHeight: 3000,
+    maxArea: 15, // m²
+    maxHeightToWidth: 4, // height may be at most 4× the width
   },
 
   /**
-   * Validates screen dimensions.
+   * Option-dependent limits, keyed by field and option ID.
+   * Only limits tighter than `constraints` take effect.
+   * Override with `constraints` in the pricing rules metafield.
+   */
+  optionConstraints: {
+    cassetteSize: {
+      slim: { maxWidth: 3000, maxHeight: 2300, maxArea: 6.9 },
+    },
+    motor: {
+      solar: { maxHeight: 2500, maxArea: 10 },
+    },
+    fabricType: {
+      blackout: { maxWidth: 4000 },
+    },
+  },
+
+  /**
+   * Deduction (mm) from the measured opening per measure-app mount type.
+   * Negative values add overlap, e.g. for screens mounted outside the recess.
+   */
+  measurementDeductions: {
+    Innvendig: { width: 10, height: 10 },
+    Utvendig: { width: -100, height: -50 },
+  },
+
+  /**
+   * Screen size for a window from the measure app (assets/app.measure-guide.js).
+   * Uses the smallest measured width/height so the screen fits everywhere in the opening.
+   * @param {object} win - { widthTop, widthMiddle, widthBottom, heightLeft, heightRight, mountType, name }
+   * @returns {object|null} { width, height, reference }, null if the window has no complete measurement
+   */
+  screenFromMeasurement(win) {
+    const smallest = (values) => {
+      const numbers = values.map((v) => parseInt(v)).filter((v) => v > 0);
+      return numbers.length > 0 ? Math.min(...numbers) : null;
+    };
+    const width = smallest([win.widthTop, win.widthMiddle, win.widthBottom]);
+    const height = smallest([win.heightLeft, win.heightRight]);
+    if (!width || !height) return null;
+
+    const deduction = this.measurementDeductions[win.mountType] || { width: 0, height: 0 };
+    return {
+      width: width - deduction.width,
+      height: height - deduction.height,
+      reference: win.name || '',
+    };
+  },
+
+  /**
+   * Effective limits for an option combination.
+   * @param {object} [options] - { cassetteSize, motor, fabricType }
+   * @param {object} [rules] - ScreenluxData.config
+   * @returns {object} constraints plus `sources`: which option set each tightened limit
+   */
+  getConstraints(options, rules) {
+    const limits = { ...this.constraints };
+    const sources = {};
+    const matrix = (rules && rules.pricingRules && rules.pricingRules.constraints) || this.optionConstraints;
+
+    Object.keys(matrix).forEach((field) => {
+      const entry = options && matrix[field][options[field]];
+      if (!entry) return;
+
+      Object.entries(entry).forEach(([key, value]) => {
+        const current = limits[key];
+        const tighter =
+          current === undefined || (key.startsWith('min') ? value > current : value < current);
+        if (tighter) {
+          limits[key] = value;
+          sources[key] = { field, id: options[field] };
+        }
+      });
+    });
+
+    return { ...limits, sources };
+  },
+
+  /**
+   * Validates screen dimensions, optionally against the limits of the selected options.
+   * Errors are language independent; the configurator renders them from ScreenluxTranslations.
    * @param {number} width - mm
    * @param {number} height - mm
-   * @returns {object} { valid: boolean, error: string|null }
+   * @param {object} [options] - { cassetteSize, motor, fabricType }
+   * @param {object} [rules] - ScreenluxData.config
+   * @returns {object} { valid: boolean, errors: Array, error: object|null }
+   *   error: { code, field, limit, value, suggestion, option } with code
+   *   'required' | 'min_width' | 'max_width' | 'min_height' | 'max_height' | 'max_area' | 'max_aspect_ratio'.
+   *   `option` ({ field, id }) names the selected option that caused a tighter limit.
+   */
+  validateDimensions(width, height, options, rules) {
+    const c = this.getConstraints(options, rules);
+    const errors = [
+      this.validateDimension('width', width, c.minWidth, c.maxWidth),
+      this.validateDimension('height', height, c.minHeight, c.maxHeight),
+    ].filter(Boolean);
+
+    // Area and aspect ratio only matter once both dimensions are in range
+    if (errors.length === 0 && c.maxArea && (width * height) / 1e6 > c.maxArea) {
+      errors.push({
+        code: 'max_area',
+        field: 'height',
+        limit: c.maxArea,
+        value: Math.round((width * height) / 1e4) / 100,
+        suggestion: Math.floor((c.maxArea * 1e6) / width),
+        key: 'maxArea',
+      });
+    }
+    if (errors.length === 0 && c.maxHeightToWidth && height > width * c.maxHeightToWidth) {
+      errors.push({
+        code: 'max_aspect_ratio',
+        field: 'height',
+        limit: Math.floor(width * c.maxHeightToWidth),
+        value: height,
+        suggestion: Math.floor(width * c.maxHeightToWidth),
+        key: 'maxHeightToWidth',
+      });
+    }
+
+    errors.forEach((error) => {
+      error.option = c.sources[error.key] || null;
+      delete error.key;
+    });
+
+    return { valid: errors.length === 0, errors, error: errors[0] || null };
+  },
+
+  /**
+   * Checks one dimension against its limits.
+   * `suggestion` is the nearest valid value.
+   * @returns {object|null} error object
+   */
+  validateDimension(field, value, min, max) {
+    const key = (prefix) => `${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+    if (!value) return { code: 'required', field, limit: min, value: value || 0, suggestion: min, key: key('min') };
+    if (value < min) return { code: `min_${field}`, field, limit: min, value, suggestion: min, key: key('min') };
+    if (value > max) return { code: `max_${field}`, field, limit: max, value, suggestion: max, key: key('max') };
+    return null;
+  },
+
+  /**
+   * Built-in pricing rule tables.
+   * Used when no `pricingRules` are served through ScreenluxData.config
+   * (shop metafield `screenlux.pricing_rules`). Market sets inherit from `default`.
+   * Amounts are in the default currency and converted with `currency.rate`; a market
+   * with its own price list sets `rate: 1` and lists its tables in local cents.
    */
-  validateDimensions(width, height) {
-    if (!width || !height) return { valid: false, error: 'Dimensions required' };
+  defaultPricingRules: {
+    version: 'builtin-1',
+    markets: {
+      default: {
+        basePrice: 47500, // 475€
+        fabricPerSqm: { default: 8000, blackout: 8000 },
+        perMeter: { width: 11500, height: 4500 },
+        cassetteSurcharge: { large: 4600 },
+        motorSurcharge: { solar: 13800 },
+        bracketSurcharge: {},
+        currency: { rate: 1, rounding: { step: 1, mode: 'round' } },
+        vatRate: 19, // % included in all shop prices
+        // Multi-screen discounts. basis: 'count' (screens) | 'area' (m² of all screens).
+        // Tier: { min, percent, code } — `code` is the Shopify discount code checkout applies.
+        volumeDiscounts: { basis: 'count', tiers: [] },
+      },
+      norway: {
+        currencyCode: 'NOK',
+        bracketSurcharge: { fixed: 11500, flexible: 18100 },
+        currency: { rate: 12 },
+        vatRate: 25,
+      },
+    },
+  },
 
-    if (width < this.constraints.minWidth)
-      return { valid: false, error: `Min width is ${this.constraints.minWidth}mm` };
-    if (width > this.constraints.maxWidth)
-      return { valid: false, error: `Max width is ${this.constraints.maxWidth}mm` };
+  /**
+   * Resolves the rule set for the active market.
+   * Lookup order: market handle, a set declaring the cart currency, then `default`.
+   * @param {object} config - ScreenluxData.config
+   * @returns {object} flattened rule set incl. `version` and `market`
+   */
+  resolvePricingRules(config) {
+    const rules = (config && config.pricingRules) || this.defaultPricingRules;
+    const markets = rules.markets || {};
+    const base = markets.default || this.defaultPricingRules.markets.default;
+
+    let marketKey = config && config.market && markets[config.market] ? config.market : null;
+    if (!marketKey && config && config.currencyCode) {
+      marketKey = Object.keys(markets).find((key) => markets[key].currencyCode === config.currencyCode) || null;
+    }
+
+    const set = marketKey ? markets[marketKey] : {};
+    const merged = { ...base, ...set };
 
-    if (height < this.constraints.minHeight)
-      return { valid: false, error: `Min height is ${this.constraints.minHeight}mm` };
-    if (height > this.constraints.maxHeight)
-      return { valid: false, error: `Max height is ${this.constraints.maxHeight}mm` };
+    // Merge nested tables so a market only has to list what differs
+    ['fabricPerSqm', 'perMeter', 'cassetteSurcharge', 'motorSurcharge', 'bracketSurcharge', 'currency'].forEach((key) => {
+      merged[key] = { ...(base[key] || {}), ...(set[key] || {}) };
+    });
 
-    return { valid: true, error: null };
+    merged.version = rules.version || 'unversioned';
+    merged.market = marketKey || 'default';
+    return merged;
   },
 
   /**
    * Calculates the raw price for a single screen configuration.
-   * @param {object} config - { width, height, solar, cassette }
-   * @param {object} rules - pricing rules/constants
-   * @returns {number} price in Euro cents
+   * @param {object} config - { width, height, fabricType, cassetteSize, motor, mountingBracket }
+   * @param {object} rules - ScreenluxData.config (pricing rules, currency)
+   * @returns {number} price in cents
    */
   calculateScreenPrice(config, rules) {
-    // 0. Base Validation Check
-    const validation = this.validateDimensions(config.width, config.height);
-    if (!validation.valid) return 0;
+    return this.getPriceBreakdown(config, rules).rawPrice;
+  },
 
-    // 1. Base Price
-    let total = 47500; // 475€
+  /**
+   * Itemizes the price of a single screen configuration.
+   * Item `amount`s are in rule-table cents, `localAmount`s in market currency cents.
+   * @param {object} config - { width, height, fabricType, cassetteSize, motor, mountingBracket }
+   * @param {object} rules - ScreenluxData.config (pricing rules, currency)
+   * @param {Array} [variants] - price carriers from ScreenluxData.screens; enables the snap lines
+   * @param {Array} [increments] - increment carriers from ScreenluxData.increments
+   * @returns {object} { valid, version, items, subtotal, conversion, rawPrice, variant, increments, needsQuote,
+   *   snapDifference, price, compareAtPrice, discount }
+   */
+  getPriceBreakdown(config, rules, variants, increments) {
+    const table = this.resolvePricingRules(rules);
+    const breakdown = {
+      valid: false,
+      version: `${table.version}/${table.market}`,
+      screen: config,
+      table,
+      items: [],
+      subtotal: 0,
+      conversion: { currencyCode: (rules && rules.currencyCode) || null, rate: 1, amount: 0, rounding: 0 },
+      rawPrice: 0,
+      variant: null,
+      increments: [],
+      needsQuote: false,
+      snapDifference: 0,
+      price: 0,
+      compareAtPrice: 0,
+      discount: 0,
+    };
 
-    // Calculate dimensions
-    const widthM = config.width / 1000;
-    const heightM = config.height / 1000;
-    const sqm = widthM * heightM;
+    // 0. Base Validation Check
+    const validation = this.validateDimensions(config.width, config.height, config, rules);
+    if (validation.valid) {
+      // Calculate dimensions
+      const widthM = config.width / 1000;
+      const heightM = config.height / 1000;
+      const sqm = widthM * heightM;
+
+      // Width and height are rounded together so the sum matches the combined linear cost
+      const widthAmount = Math.round(widthM * (table.perMeter.width || 0));
+      const linearAmount = Math.round(widthM * (table.perMeter.width || 0) + heightM * (table.perMeter.height || 0));
+
+      breakdown.items = [
+        // 1. Base Price
+        { key: 'base', amount: table.basePrice },
+        // 2. Fabric Cost
+        { key: 'fabric', amount: this.getOptionAmount(table, config, 'fabricType', config.fabricType), quantity: sqm },
+        // 3. Size Cost (Width and Height)
+        { key: 'width', amount: widthAmount, quantity: widthM },
+        { key: 'height', amount: linearAmount - widthAmount, quantity: heightM },
+        // 4. Cassette Type Cost
+        { key: 'cassette', amount: this.getOptionAmount(table, config, 'cassetteSize', config.cassetteSize) },
+        // 5. Motor Surcharge
+        { key: 'motor', amount: this.getOptionAmount(table, config, 'motor', config.motor) },
+      ];
+
+      // 5.5 Brackets (only markets whose rule set lists them)
+      if (this.hasMountingBrackets(rules)) {
+        breakdown.items.push({
+          key: 'brackets',
+          amount: this.getOptionAmount(table, config, 'mountingBracket', config.mountingBracket),
+        });
+      }
 
-    // 2. Fabric Cost
-    const fabricPricePerSqm = config.fabricType === 'blackout' ? 8000 : 8000;
-    total += Math.round(sqm * fabricPricePerSqm);
+      breakdown.valid = true;
+      breakdown.subtotal = breakdown.items.reduce((sum, item) => sum + item.amount, 0);
+
+      // 6. Currency Conversion
+      const rate = parseFloat(table.currency.rate) || 1;
+      breakdown.rawPrice = this.convertCurrency(breakdown.subtotal, rules);
+      breakdown.items.forEach((item) => (item.localAmount = Math.round(item.amount * rate)));
+      breakdown.conversion.rate = rate;
+      breakdown.conversion.amount = breakdown.rawPrice - breakdown.subtotal;
+      breakdown.conversion.rounding =
+        breakdown.rawPrice - breakdown.items.reduce((sum, item) => sum + item.localAmount, 0);
+    }
 
-    // 3. Size Cost (Width and Height)
-    const widthPrice = 11500; // €115.00 per meter
-    const heightPrice = 4500; // €45.00 per meter
-    total += Math.round(widthM * widthPrice + heightM * heightPrice);
+    // 7. Variant Snap
+    return this.applyVariant(breakdown, variants, increments);
+  },
 
-    // 4. Cassette Type Cost
-    if (config.cassetteSize === 'large') {
-      total += 4600;
+  /**
+   * Cost of a single option value from the rule tables (rule-table cents).
+   * @param {object} table - resolved rule set
+   * @param {object} config - screen configuration (fabric cost depends on its area)
+   * @param {string} field - fabricType | cassetteSize | motor | mountingBracket
+   * @param {string} value - option ID
+   * @returns {number}
+   */
+  getOptionAmount(table, config, field, value) {
+    switch (field) {
+      case 'fabricType': {
+        const sqm = (config.width / 1000) * (config.height / 1000);
+        const perSqm = table.fabricPerSqm[value] ?? table.fabricPerSqm.default ?? 0;
+        return Math.round(sqm * perSqm);
+      }
+      case 'cassetteSize':
+        return table.cassetteSurcharge[value] || 0;
+      case 'motor':
+        return table.motorSurcharge[value] || 0;
+      case 'mountingBracket':
+        return (value && table.bracketSurcharge[value]) || 0;
+      default:
+        return 0;
     }
+  },
+
+  /**
+   * Looks for the nearest smaller width and height (at most `tolerance` mm less) that drops to a cheaper price step.
+   * Prices only grow with size, so larger values are never searched.
+   * @param {object} config - screen configuration
+   * @param {object} rules - ScreenluxData.config
+   * @param {Array} variants - price carriers from ScreenluxData.screens
+   * @param {Array} [increments] - increment carriers from ScreenluxData.increments
+   * @param {number} tolerance - mm searched below each dimension (larger sizes are never cheaper)
+   * @returns {Array} [{ field, value, price, saving }], at most one per dimension
+   */
+  findCheaperSizes(config, rules, variants, increments, tolerance) {
+    const current = this.getPriceBreakdown(config, rules, variants, increments);
+    if (!current.valid || current.needsQuote || !(tolerance > 0)) return [];
+
+    return ['width', 'height'].reduce((found, field) => {
+      for (let offset = 1; offset <= tolerance; offset++) {
+        const value = config[field] - offset;
+        const candidate = this.getPriceBreakdown({ ...config, [field]: value }, rules, variants, increments);
+        if (!candidate.valid) break;
+
+        if (!candidate.needsQuote && candidate.price < current.price) {
+          found.push({ field, value, price: candidate.price, saving: current.price - candidate.price });
+          break;
+        }
+      }
+      return found;
+    }, []);
+  },
+
+  /**
+   * Prices every option of one field against an existing breakdown without re-running the engine.
+   * @param {object} breakdown - result of getPriceBreakdown()
+   * @param {string} field - fabricType | cassetteSize | motor | mountingBracket
+   * @param {Array} options - [{ id, ... }]
+   * @param {object} rules - ScreenluxData.config
+   * @param {Array} variants - price carriers from ScreenluxData.screens
+   * @param {Array} [increments] - increment carriers from ScreenluxData.increments
+   * @returns {Array} [{ id, rawPrice, variant, price, compareAtPrice }]
+   */
+  getOptionPrices(breakdown, field, options, rules, variants, increments) {
+    const current = this.getOptionAmount(breakdown.table, breakdown.screen, field, breakdown.screen[field]);
+
+    return (options || []).map((opt) => {
+      const rawPrice = breakdown.valid
+        ? this.convertCurrency(
+            breakdown.subtotal - current + this.getOptionAmount(breakdown.table, breakdown.screen, field, opt.id),
+            rules,
+          )
+        : 0;
+      const priced = this.applyVariant({ rawPrice }, variants, increments);
+      return {
+        id: opt.id,
+        rawPrice,
+        variant: priced.variant,
+        price: priced.price,
+        compareAtPrice: priced.compareAtPrice,
+      };
+    });
+  },
+
+  /**
+   * Adds the matched price carriers to a breakdown.
+   * `snapDifference` is what the carriers charge above (or, when negative, below) the calculated price.
+   * @param {object} breakdown - needs `rawPrice`
+   * @param {Array} [variants]
+   * @param {Array} [increments]
+   * @returns {object} the same breakdown
+   */
+  applyVariant(breakdown, variants, increments) {
+    const match = variants ? this.matchPrice(breakdown.rawPrice, variants, increments) : null;
+    breakdown.variant = match ? match.variant : null;
+    breakdown.increments = match ? match.increments : [];
+    breakdown.needsQuote = match ? match.needsQuote : false;
+    breakdown.price = match && match.variant ? match.price : breakdown.rawPrice;
+    // Default to price if compare_at_price is not set or 0
+    breakdown.compareAtPrice = match && match.variant && match.compareAtPrice > 0 ? match.compareAtPrice : breakdown.price;
+    breakdown.snapDifference = breakdown.compareAtPrice - breakdown.rawPrice;
+    breakdown.discount = breakdown.compareAtPrice - breakdown.price;
+    return breakdown;
+  },
+
+  /**
+   * Converts an amount from the rule tables into the active market currency
+   * and applies the market's rounding rule.
+   * @param {number} cents - amount in rule-table cents
+   * @param {object} rules - ScreenluxData.config
+   * @returns {number} amount in market currency cents
+   */
+  convertCurrency(cents, rules) {
+    const { currency } = this.resolvePricingRules(rules);
+    const rate = parseFloat(currency.rate) || 1;
+    const rounding = currency.rounding || {};
+    const step = rounding.step > 0 ? rounding.step : 1;
+    const round = Math[rounding.mode] || Math.round; // 'round' | 'ceil' | 'floor'
+
+    return round((cents * rate) / step) * step;
+  },
+
+  /**
+   * Currency symbol for price labels. A rule set may override the cart currency symbol.
+   * @param {object} rules - ScreenluxData.config
+   * @returns {string}
+   */
+  getCurrencySymbol(rules) {
+    const { currency } = this.resolvePricingRules(rules);
+    return currency.symbol || (rules && rules.currencySymbol) || '€';
+  },
+
+  /**
+   * Formats cents as a price label, e.g. "1250 €".
+   * @param {number} cents
+   * @param {object} rules - ScreenluxData.config
+   * @param {number} decimals
+   * @returns {string}
+   */
+  formatMoney(cents, rules, decimals = 0) {
+    return `${(cents / 100).toFixed(decimals)} ${this.getCurrencySymbol(rules)}`;
+  },
+
+  /**
+   * Splits a VAT-inclusive amount into net and VAT with the active market's rate.
+   * @param {number} gross - cents incl. VAT
+   * @param {object} rules - ScreenluxData.config
+   * @returns {object} { rate, net, vat, gross }
+   */
+  splitVat(gross, rules) {
+    const rate = parseFloat(this.resolvePricingRules(rules).vatRate) || 0;
+    const net = Math.round(gross / (1 + rate / 100));
+    return { rate, net, vat: gross - net, gross };
+  },
+
+  /**
+   * Whether the active market sells mounting brackets with each screen.
+   * @param {object} rules - ScreenluxData.config
+   * @returns {boolean}
+   */
+  hasMountingBrackets(rules) {
+    const { bracketSurcharge } = this.resolvePricingRules(rules);
+    return Object.values(bracketSurcharge).some((price) => price > 0);
+  },
+
+  /**
+   * Professional installation rates in market currency cents.
+   * Lookup order: rule set `installation`, theme settings for the cart currency,
+   * then the default-currency settings converted like screen prices.
+   * @param {object} rules - ScreenluxData.config
+   * @returns {object} { wired: { base, extra }, solar: { base, extra } }
+   */
+  getInstallationRates(rules) {
+    const table = this.resolvePricingRules(rules);
+    if (table.installation) return table.installation;
+
+    const settings = (rules && rules.installation) || {};
+    const local = rules && settings[rules.currencyCode];
+    if (local) return local;
+
+    const fallback = settings.EUR || {
+      wired: { base: 69900, extra: 25000 },
+      solar: { base: 29900, extra: 10000 },
+    };
+    const convert = (rate) => ({
+      base: this.convertCurrency(rate.base, rules),
+      extra: this.convertCurrency(rate.extra, rules),
+    });
+    return { wired: convert(fallback.wired), solar: convert(fallback.solar) };
+  },
+
+  /**
+   * Returns the version of the rule set that prices screens for the active market.
+   * @param {object} rules - ScreenluxData.config
+   * @returns {string} e.g. "builtin-1/norway"
+   */
+  getPricingVersion(rules) {
+    const table = this.resolvePricingRules(rules);
+    return `${table.version}/${table.market}`;
+  },
+
+  /**
+   * Volume discount tier reached by a set of screens. Tiers without a discount `code` are ignored.
+   * @param {Array} screens - configured screens
+   * @param {number} screensTotal - sum of screen sale prices (cents)
+   * @param {object} rules - ScreenluxData.config
+   * @returns {object} { tier, percent, amount, code, basis, quantity, nextTier }
+   */
+  getVolumeDiscount(screens, screensTotal, rules) {
+    const { volumeDiscounts } = this.resolvePricingRules(rules);
+    const basis = (volumeDiscounts && volumeDiscounts.basis) || 'count';
+    // Checkout only grants a tier through its discount code; a tier without one would promise a price it doesn't charge
+    const tiers = ((volumeDiscounts && volumeDiscounts.tiers) || []).filter((tier) => tier.code).sort((a, b) => a.min - b.min);
+
+    const quantity =
+      basis === 'area'
+        ? screens.reduce((sum, s) => sum + ((s.width || 0) * (s.height || 0)) / 1e6, 0)
+        : screens.length;
+
+    const reached = tiers.filter((tier) => quantity >= tier.min);
+    const tier = reached.length > 0 ? reached[reached.length - 1] : null;
+    const percent = tier ? tier.percent || 0 : 0;
+
+    return {
+      tier,
+      percent,
+      amount: Math.round((screensTotal * percent) / 100),
+      code: tier && tier.code ? tier.code : null,
+      basis,
+      quantity,
+      nextTier: tiers.find((t) => t.min > quantity) || null,
+    };
+  },
+
+  /**
+   * Matches a raw price (cost) to price carriers, composing it from increments where that is closer.
+   * Strategy: exact carrier > cheapest of (next higher carrier, highest carrier below + increments).
+   * Above the highest carrier without increments the configuration is flagged `needsQuote`.
+   * @param {number} rawPrice - calculated cost in cents
+   * @param {Array} variants - price carriers from ScreenluxData.screens
+   * @param {Array} [increments] - increment carriers from ScreenluxData.increments
+   * @returns {object} { variant, increments: [{ variant, quantity }], price, compareAtPrice, difference, needsQuote }
+   */
+  matchPrice(rawPrice, variants, increments) {
+    const result = (variant, lines = [], needsQuote = false) => {
+      const sum = (key) =>
+        (variant ? variant[key] : 0) + lines.reduce((total, line) => total + line.variant[key] * line.quantity, 0);
+      const compareAtPrice = sum('compare_at_price');
+      return {
+        variant,
+        increments: lines,
+        price: sum('price'),
+        compareAtPrice,
+        difference: compareAtPrice - rawPrice,
+        needsQuote,
+      };
+    };
+
+    const validVariants = variants.filter((v) => typeof v.compare_at_price === 'number');
+    if (validVariants.length === 0) return result(variants[0] || null);
+
+    const exact = validVariants.find((v) => v.compare_at_price === rawPrice);
+    if (exact) return result(exact);
+
+    const candidates = [];
 
-    // 5. Motor Surcharge
-    if (config.motor === 'solar') {
-      total += 13800;
+    // Snap upwards to the next higher carrier
+    const higher = validVariants.filter((v) => v.compare_at_price >= rawPrice);
+    if (higher.length > 0) {
+      candidates.push(result(higher.reduce((prev, curr) => (curr.compare_at_price < prev.compare_at_price ? curr : prev))));
     }
 
-    // 5.5 Brackets (NO Market Only)
-    if (rules && rules.currencyCode === 'NOK' && config.mountingBracket) {
-      if (config.mountingBracket === 'fixed') {
-        total += 11500; // €115
-      } else if (config.mountingBracket === 'flexible') {
-        total += 18100; // €181
-      }
+    // Highest carrier below the price, topped up with increments
+    const lower = validVariants.filter((v) => v.compare_at_price < rawPrice);
+    const validIncrements = (increments || []).filter((v) => v.compare_at_price > 0);
+    if (lower.length > 0 && validIncrements.length > 0) {
+      const base = lower.reduce((prev, curr) => (curr.compare_at_price > prev.compare_at_price ? curr : prev));
+      candidates.push(result(base, this.composeIncrements(rawPrice - base.compare_at_price, validIncrements)));
     }
 
-    // 6. Currency Conversion
-    if (rules && rules.currencyCode === 'NOK') {
-      const nokRate = 12;
-      total = Math.round(total * nokRate);
+    if (candidates.length > 0) {
+      // Smallest overcharge wins; on a tie the single carrier (listed first) is kept
+      return candidates.reduce((prev, curr) => (curr.difference < prev.difference ? curr : prev));
     }
 
-    return total;
+    // Above every carrier and nothing to compose with
+    const highest = validVariants.reduce((prev, curr) => (curr.compare_at_price > prev.compare_at_price ? curr : prev));
+    return result(highest, [], true);
   },
 
   /**
-   * Snaps a raw price (cost) to a matching variant by SKU.
-   * @param {number} rawPrice - calculated cost in cents
-   * @param {Array} variants - list of {id, price, sku} from ScreenluxData.screens
-   * @returns {object|null} matching variant object
+   * Greedily covers an amount with increment carriers (largest first).
+   * A remainder below the smallest increment is rounded up with one more of it.
+   * @param {number} amount - cents to cover
+   * @param {Array} increments - carriers with compare_at_price > 0
+   * @returns {Array} [{ variant, quantity }]
    */
-  matchVariant(rawPrice, variants) {
-    const targetCost = rawPrice;
+  composeIncrements(amount, increments) {
+    const sorted = [...increments].sort((a, b) => b.compare_at_price - a.compare_at_price);
+    const lines = new Map();
+    let remaining = amount;
+
+    sorted.forEach((variant) => {
+      const quantity = Math.floor(remaining / variant.compare_at_price);
+      if (quantity > 0) {
+        lines.set(variant, quantity);
+        remaining -= quantity * variant.compare_at_price;
+      }
+    });
+
+    if (remaining > 0) {
+      const smallest = sorted[sorted.length - 1];
+      lines.set(smallest, (lines.get(smallest) || 0) + 1);
+    }
 
-    // First try exact match on compare_at_price
-    const match = variants.find((v) => v.compare_at_price === targetCost);
-    if (match) return match;
+    return Array.from(lines, ([variant, quantity]) => ({ variant, quantity }));
+  },
 
-    // Filter valid variants that have a number compare_at_price
-    const validVariants = variants.filter((v) => typeof v.compare_at_price === 'number');
+  // Bump when the share link layout changes; older versions stay decodable below
+  shareVersion: 1,
+
+  // Screen fields in share-link order
+  shareFields: [
+    'width',
+    'height',
+    'frameColor',
+    'fabricColor',
+    'fabricType',
+    'cassetteSize',
+    'motor',
+    'cableExit',
+    'mountingBracket',
+    'reference',
+    'room',
+  ],
 
-    // Find all variants where compare_at_price >= targetCost (snap upwards)
-    const equalOrHigherVariants = validVariants.filter((v) => v.compare_at_price >= targetCost);
+  /**
+   * Packs the configurator state into a compact, URL-safe string.
+   * @param {object} state - ProductConfigurator.state
+   * @returns {string}
+   */
+  encodeState(state) {
+    const payload = [
+      this.shareVersion,
+      state.installationType,
+      state.screens.map((screen) => this.shareFields.map((field) => screen[field] ?? null)),
+      state.steuerung || {},
+      state.automatisierung || {},
+      // Linked screens, as the position of their master
+      state.screens.map((screen) => (screen.linkedTo ? state.screens.findIndex((s) => s.id === screen.linkedTo) : null)),
+    ];
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+    return btoa(String.fromCharCode(...bytes))
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  },
 
-    if (equalOrHigherVariants.length > 0) {
-      // Find the one with the smallest compare_at_price among the higher variants
-      return equalOrHigherVariants.reduce((prev, curr) => {
-        return curr.compare_at_price < prev.compare_at_price ? curr : prev;
-      });
+  /**
+   * Reverse of encodeState(). Option IDs are returned as stored; the caller checks them against current lists.
+   * @param {string} code
+   * @returns {object|null} { version, installationType, screens (+ linkedIndex), steuerung, automatisierung },
+   *   null if unreadable
+   */
+  decodeState(code) {
+    try {
+      const binary = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+      const json = new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0)));
+      const [version, installationType, screens, steuerung, automatisierung, links] = JSON.parse(json);
+      // Links from a newer layout can't be read; older ones can
+      if (typeof version !== 'number' || version > this.shareVersion || !Array.isArray(screens)) return null;
+
+      return {
+        version,
+        installationType,
+        screens: screens.map((values, index) =>
+          this.shareFields.reduce(
+            (screen, field, i) => {
+              if (values[i] !== null && values[i] !== undefined) screen[field] = values[i];
+              return screen;
+            },
+            { linkedIndex: (links && links[index]) ?? null },
+          ),
+        ),
+        steuerung: steuerung || {},
+        automatisierung: automatisierung || {},
+      };
+    } catch (e) {
+      return null;
     }
+  },
 
-    // Fallback: if calculated price is higher than all variants, snap to the highest available variant
-    if (validVariants.length > 0) {
-      return validVariants.reduce((prev, curr) => {
-        return curr.compare_at_price > prev.compare_at_price ? curr : prev;
-      });
+  // Bump when fields of the production spec change meaning or are removed
+  specVersion: 1,
+
+  /**
+   * Stable production spec of one screen, built from option IDs rather than translated titles.
+   * @param {object} screen - screen configuration
+   * @param {object} data - ScreenluxData
+   * @returns {object} { v, width, height, frameColor, fabricColor, fabricType, cassetteSize, motor, cableExit,
+   *   mountingBracket, bracketCount }
+   */
+  getProductionSpec(screen, data) {
+    const hasBrackets = this.hasMountingBrackets(data.config) && screen.mountingBracket && screen.mountingBracket !== 'none';
+    return {
+      v: this.specVersion,
+      width: screen.width,
+      height: screen.height,
+      frameColor: screen.frameColor,
+      fabricColor: screen.fabricColor,
+      fabricType: screen.fabricType,
+      cassetteSize: screen.cassetteSize,
+      motor: screen.motor,
+      cableExit: screen.motor === 'wired' ? screen.cableExit || null : null,
+      mountingBracket: hasBrackets ? screen.mountingBracket : null,
+      bracketCount: hasBrackets ? (screen.height > 2700 ? 8 : 6) : 0,
+    };
+  },
+
+  /**
+   * Screen values of a configured cart line, read back from its production spec (see generateCartPayload).
+   * Same shape as a decodeState screen.
+   * @param {object} properties - line item properties
+   * @returns {object|null} null if the line has no readable spec
+   */
+  screenFromCartLine(properties) {
+    let spec = null;
+    try {
+      spec = JSON.parse(properties._config || 'null');
+    } catch (e) {
+      return null;
     }
+    if (!spec || spec.v > this.specVersion) return null;
+
+    const t = window.ScreenluxTranslations || {};
+    const reference = properties[(t.options && t.options.reference) || 'Referenz'];
+    return {
+      width: spec.width,
+      height: spec.height,
+      frameColor: spec.frameColor,
+      fabricColor: spec.fabricColor,
+      fabricType: spec.fabricType,
+      cassetteSize: spec.cassetteSize,
+      motor: spec.motor,
+      cableExit: spec.cableExit || undefined,
+      mountingBracket: spec.mountingBracket || 'none',
+      // The generated "Screen N" label is not a reference the customer chose
+      reference: reference && reference !== this.getDefaultReference(properties['_Screen ID']) ? reference : '',
+      room: properties[(t.naming && t.naming.room) || 'Raum'] || '',
+      linkedIndex: null,
+    };
+  },
+
+  /**
+   * Reference written to a screen line when the customer left it empty, e.g. "Screen 2".
+   * @param {number|string} screenId - `_Screen ID` of the line (1-based position in the configuration)
+   * @returns {string}
+   */
+  getDefaultReference(screenId) {
+    const t = window.ScreenluxTranslations || {};
+    return `${(t.options && t.options.screenPrefix) || 'Screen'} ${screenId}`;
+  },
+
+  /**
+   * Installation service variant for a set of screens: "Wired" as soon as one screen is wired, else "Solar".
+   * @param {Array} screens - screen configurations
+   * @param {object} data - ScreenluxData global
+   * @returns {object|null} variant from ScreenluxData.services
+   */
+  getInstallationService(screens, data) {
+    const targetTitle = screens.some((s) => s.motor !== 'solar') ? 'Wired' : 'Solar';
+    return (data.services || []).find((v) => v.title.includes(targetTitle)) || null;
+  },
+
+  /**
+   * Display title of an option or product by ID.
+   * @param {Array} list - e.g. ScreenluxData.frameColors
+   * @param {string|number} id
+   * @returns {string} the title, or the ID when the list has no such entry
+   */
+  findTitle(list, id) {
+    const item = (list || []).find((x) => x.id == id);
+    return item ? item.title : id;
+  },
 
-    // Default fallback
-    return variants[0] || null;
+  /**
+   * Short random ID that ties together the cart lines of one configuration.
+   * @returns {string} e.g. "LX3K9QF2-7Q4D"
+   */
+  createConfigurationId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
   },
 
   /**
    * Generates the Cart API Items payload for a whole session
-   * @param {object} state - Global state { screens: [], installationType, ... }
+   * @param {object} state - Global state { screens: [], installationType, ..., configurationId (optional) }
    * @param {object} data - ScreenluxData global
+   * @returns {object} { items, discountCode, configurationId } — `items` is the /cart/add.js body
    */
   generateCartPayload(state, data) {
     const items = [];
+    // Every line carries it, so the cart can group the lines and remove them together. Each add gets a new one
+    // on purpose: `_Screen ID`s restart at 1, so a shared ID would mix up the carriers of different screens.
+    // Only a line replacement passes the ID of the configuration it belongs to.
+    const configurationId = state.configurationId || this.createConfigurationId();
 
-    // Helper to find title by ID
-    const findTitle = (list, id) => {
-      const item = (list || []).find((x) => x.id == id);
-      return item ? item.title : id;
-    };
+    const pricingVersion = this.getPricingVersion(data.config);
+
+    // Volume discount: tagged on every screen line, redeemed at checkout through its discount code
+    const screensTotal = state.screens.reduce(
+      (sum, screen) => sum + this.getPriceBreakdown(screen, data.config, data.screens, data.increments).price,
+      0,
+    );
+    const volumeDiscount = this.getVolumeDiscount(state.screens, screensTotal, data.config);
 
     // 1. Screens
     state.screens.forEach((screen, index) => {
       // 1. Screens
-      const rawPrice = this.calculateScreenPrice(screen, data.config);
-      const variant = this.matchVariant(rawPrice, data.screens);
+      const pricing = this.getPriceBreakdown(screen, data.config, data.screens, data.increments);
+      const { rawPrice, variant } = pricing;
+      const spec = this.getProductionSpec(screen, data);
 
       if (!variant) {
         console.error('No matching price variant found for price', rawPrice);
@@ -158,34 +841,58 @@ window.ScreenluxEngine = {
         id: variant.id,
         quantity: 1,
         properties: {
+          '_Configuration ID': configurationId,
           '_Screen ID': index + 1,
           '_hide_variant': 'true',
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.reference) || 'Referenz']: `${(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.screenPrefix) || 'Screen'} ${index + 1}`,
+          '_Pricing version': pricingVersion,
+          // Calculated vs. charged cost, so the snap loss or overcharge per order stays visible
+          '_Calculated price': rawPrice,
+          '_Price difference': pricing.snapDifference,
+          // Language-independent spec for order processing
+          '_config': JSON.stringify(spec),
+          ...(volumeDiscount.tier ? { '_Volume discount': `${volumeDiscount.percent}%` } : {}),
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.reference) || 'Referenz']: screen.reference || this.getDefaultReference(index + 1),
           [(window.ScreenluxTranslations && window.ScreenluxTranslations.dimensions && window.ScreenluxTranslations.dimensions.width) || 'Breite']: `${screen.width}`,
           [(window.ScreenluxTranslations && window.ScreenluxTranslations.dimensions && window.ScreenluxTranslations.dimensions.height) || 'H\u00f6he']: `${screen.height}`,
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.frameColor) || 'Gestellfarbe']: findTitle(data.frameColors, screen.frameColor),
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.fabricColor) || 'Stofffarbe']: findTitle(data.fabricColors, screen.fabricColor),
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.fabricTransparency) || 'Stoff']: findTitle(data.fabrics, screen.fabricType),
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.cassetteSize) || 'Kassettengr\u00f6\u00dfe']: findTitle(data.cassetteSizes, screen.cassetteSize),
-          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.motor) || 'Antrieb']: findTitle(data.motorOptions, screen.motor),
-          ...(screen.motor === 'wired' && screen.cableExit ? { [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.cableExit) || 'Kabelausgang']: findTitle(data.cableExitOptions, screen.cableExit) } : {}),
-          ...((data.config && data.config.currencyCode === 'NOK' && screen.mountingBracket && screen.mountingBracket !== 'none') ? { 
-            [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.mountingBrackets) || 'Monteringsbraketter']: `${screen.height > 2700 ? 8 : 6}x ${findTitle(data.bracketOptions, screen.mountingBracket).toLowerCase()}`
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.frameColor) || 'Gestellfarbe']: this.findTitle(data.frameColors, screen.frameColor),
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.fabricColor) || 'Stofffarbe']: this.findTitle(data.fabricColors, screen.fabricColor),
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.fabricTransparency) || 'Stoff']: this.findTitle(data.fabrics, screen.fabricType),
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.cassetteSize) || 'Kassettengr\u00f6\u00dfe']: this.findTitle(data.cassetteSizes, screen.cassetteSize),
+          [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.motor) || 'Antrieb']: this.findTitle(data.motorOptions, screen.motor),
+          ...(screen.room ? { [(window.ScreenluxTranslations && window.ScreenluxTranslations.naming && window.ScreenluxTranslations.naming.room) || 'Raum']: screen.room } : {}),
+          ...(screen.motor === 'wired' && screen.cableExit ? { [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.cableExit) || 'Kabelausgang']: this.findTitle(data.cableExitOptions, screen.cableExit) } : {}),
+          ...((this.hasMountingBrackets(data.config) && screen.mountingBracket && screen.mountingBracket !== 'none') ? { 
+            [(window.ScreenluxTranslations && window.ScreenluxTranslations.options && window.ScreenluxTranslations.options.mountingBrackets) || 'Monteringsbraketter']: `${spec.bracketCount}x ${this.findTitle(data.bracketOptions, screen.mountingBracket).toLowerCase()}`
           } : {})
         },
       });
+
+      // 1.1 Increment carriers that top up the screen price
+      pricing.increments.forEach((line) => {
+        items.push({
+          id: line.variant.id,
+          quantity: line.quantity,
+          properties: {
+            '_Configuration ID': configurationId,
+            '_Screen ID': index + 1,
+            '_hide_variant': 'true',
+            '_Price increment': 'true',
+          },
+        });
+      });
     });
 
     // 2. Installation Service (Professional Only)
     if (state.installationType === 'professional') {
-      const hasWired = state.screens.some((s) => s.motor !== 'solar');
-      const targetTitle = hasWired ? 'Wired' : 'Solar';
-
-      const serviceVariant = data.services.find((v) => v.title.includes(targetTitle));
+      const serviceVariant = this.getInstallationService(state.screens, data);
       if (serviceVariant) {
         items.push({
           id: serviceVariant.id,
           quantity: 1,
+          properties: {
+            '_Configuration ID': configurationId,
+            '_Installation service': 'true',
+          },
         });
       }
     }
@@ -198,6 +905,7 @@ window.ScreenluxEngine = {
         items.push({
           id: parseInt(id),
           quantity: qty,
+          properties: { '_Configuration ID': configurationId },
         });
       }
     });
@@ -208,10 +916,89 @@ window.ScreenluxEngine = {
         items.push({
           id: parseInt(id),
           quantity: qty,
+          properties: { '_Configuration ID': configurationId },
         });
       }
     });
 
-    return { items };
+    return { items, discountCode: volumeDiscount.code, configurationId };
+  },
+
+  /**
+   * Cart items that replace one configured screen line: the screen and its increment carriers, priced with
+   * the current rules. Keeps the configuration ID, screen number, default reference and volume discount
+   * of the original line.
+   * @param {object} screen - screen configuration (e.g. from screenFromCartLine)
+   * @param {object} properties - properties of the line being replaced
+   * @param {object} data - ScreenluxData global
+   * @param {number} [quantity] - quantity of the line being replaced; carriers are scaled with it
+   * @returns {Array} /cart/add.js items
+   */
+  generateLineReplacement(screen, properties, data, quantity = 1) {
+    const { items } = this.generateCartPayload(
+      {
+        screens: [{ ...screen, reference: screen.reference || this.getDefaultReference(properties['_Screen ID']) }],
+        installationType: 'diy',
+        steuerung: {},
+        automatisierung: {},
+        configurationId: properties['_Configuration ID'],
+      },
+      data,
+    );
+
+    return items.map((item) => {
+      const replaced = { ...item.properties, '_Screen ID': properties['_Screen ID'] };
+      // The volume discount was reached with the whole original order
+      if (properties['_Volume discount']) replaced['_Volume discount'] = properties['_Volume discount'];
+      return { ...item, quantity: item.quantity * quantity, properties: replaced };
+    });
+  },
+
+  /**
+   * Re-evaluates a configured screen line against the current rules and price carriers.
+   * @param {object} line - cart line (from /cart.js) with `_config` properties
+   * @param {Array} cartItems - all cart lines, to find the line's increment carriers
+   * @param {object} data - ScreenluxData global
+   * @returns {object|null} { keys, items, restoreItems, price, cartPrice } when the line no longer uses the right
+   *   variants: `keys` are the lines to remove, `items` their replacement, `restoreItems` re-add the removed lines;
+   *   null if up to date or not checkable
+   */
+  checkCartLine(line, cartItems, data) {
+    const screen = this.screenFromCartLine(line.properties || {});
+    if (!screen) return null;
+
+    const pricing = this.getPriceBreakdown(screen, data.config, data.screens, data.increments);
+    if (!pricing.valid || !pricing.variant || pricing.needsQuote) return null;
+
+    const sameScreen = (item) =>
+      item.properties &&
+      item.properties['_Price increment'] &&
+      item.properties['_Screen ID'] == line.properties['_Screen ID'] &&
+      item.properties['_Configuration ID'] === line.properties['_Configuration ID'];
+    const carriers = cartItems.filter(sameScreen);
+
+    // Compare variant IDs and quantities: screen variant plus increment carriers
+    const signature = (entries) =>
+      entries
+        .map(([id, quantity]) => `${id}x${quantity}`)
+        .sort()
+        .join(',');
+    const current = signature([
+      [line.variant_id, 1],
+      ...carriers.map((item) => [item.variant_id, item.quantity / line.quantity]),
+    ]);
+    const expected = signature([
+      [pricing.variant.id, 1],
+      ...pricing.increments.map((increment) => [increment.variant.id, increment.quantity]),
+    ]);
+    if (current === expected) return null;
+
+    return {
+      keys: [line.key, ...carriers.map((item) => item.key)],
+      items: this.generateLineReplacement(screen, line.properties, data, line.quantity),
+      restoreItems: [line, ...carriers].map((item) => ({ id: item.variant_id, quantity: item.quantity, properties: item.properties })),
+      price: pricing.price * line.quantity,
+      cartPrice: line.final_line_price + carriers.reduce((sum, item) => sum + item.final_line_price, 0),
+    };
   },
 };
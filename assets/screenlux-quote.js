@@ -0,0 +1,258 @@
+/**
+ * Screenlux Quote
+ * Builds a printable quote (offer) document from a configurator session, fully client-side.
+ * The customer prints it or saves it as PDF from the browser's print dialog.
+ */
+
+window.ScreenluxQuote = {
+  // Used when ScreenluxData.config.quoteValidityDays is not set
+  validityDays: 30,
+
+  // Drawing heights (mm) of the cassette per cassette size
+  cassetteHeights: { slim: 85, large: 120 },
+
+  /**
+   * Quote number from the date and a random suffix, e.g. "SL-20261019-4F7Q".
+   * @param {Date} date
+   * @returns {string}
+   */
+  createNumber(date) {
+    const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+    return `SL-${day}-${Math.random().toString(36).slice(2, 6).toUpperCase()}`;
+  },
+
+  /**
+   * Labelled specification rows of one screen, with option titles from ScreenluxEngine.findTitle.
+   * @param {object} screen - screen configuration
+   * @param {object} data - ScreenluxData
+   * @returns {Array} [[label, value], ...]
+   */
+  getScreenSpecs(screen, data) {
+    const engine = window.ScreenluxEngine;
+    const t = window.ScreenluxTranslations || {};
+    const options = t.options || {};
+    const dimensions = t.dimensions || {};
+    const spec = engine.getProductionSpec(screen, data);
+
+    const rows = [
+      [dimensions.width || 'Breite (mm)', String(spec.width)],
+      [dimensions.height || 'Höhe (mm)', String(spec.height)],
+      [options.frameColor || 'Gestellfarbe', engine.findTitle(data.frameColors, spec.frameColor)],
+      [options.fabricColor || 'Stofffarbe', engine.findTitle(data.fabricColors, spec.fabricColor)],
+      [options.fabricTransparency || 'Stoff', engine.findTitle(data.fabrics, spec.fabricType)],
+      [options.cassetteSize || 'Kassettengröße', engine.findTitle(data.cassetteSizes, spec.cassetteSize)],
+      [options.motor || 'Antrieb', engine.findTitle(data.motorOptions, spec.motor)],
+    ];
+    if (spec.cableExit) {
+      rows.push([options.cableExit || 'Kabelausgang', engine.findTitle(data.cableExitOptions, spec.cableExit)]);
+    }
+    if (spec.mountingBracket) {
+      rows.push([
+        options.mountingBrackets || 'Montagehalterungen',
+        `${spec.bracketCount}x ${engine.findTitle(data.bracketOptions, spec.mountingBracket)}`,
+      ]);
+    }
+    if (screen.room) rows.push([(t.naming && t.naming.room) || 'Raum', screen.room]);
+    return rows;
+  },
+
+  /**
+   * Front-view drawing of a screen with dimension lines, scaled to fit 240×200.
+   * @param {object} screen - screen configuration
+   * @param {object} data - ScreenluxData
+   * @returns {string} SVG markup
+   */
+  getDrawing(screen, data) {
+    const frame = (data.frameColors || []).find((c) => c.id === screen.frameColor);
+    const frameColor = (frame && frame.hex) || '#373F47';
+    const fabricColor = screen.fabricType === 'blackout' ? '#4B5563' : '#9CA3AF';
+
+    const scale = Math.min(240 / screen.width, 200 / screen.height);
+    const w = Math.round(screen.width * scale);
+    const h = Math.round(screen.height * scale);
+    const cassette = Math.max(6, Math.round((this.cassetteHeights[screen.cassetteSize] || 100) * scale));
+    const rail = Math.max(3, Math.round(40 * scale));
+    const x = 10;
+    const y = 10;
+
+    return `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w + 60} ${h + 50}" width="${w + 60}" height="${h + 50}" role="img">
+        <rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${fabricColor}" fill-opacity="0.35" stroke="${frameColor}" />
+        <rect x="${x}" y="${y}" width="${w}" height="${cassette}" fill="${frameColor}" />
+        <rect x="${x}" y="${y}" width="${rail}" height="${h}" fill="${frameColor}" />
+        <rect x="${x + w - rail}" y="${y}" width="${rail}" height="${h}" fill="${frameColor}" />
+        <rect x="${x}" y="${y + h - rail}" width="${w}" height="${rail}" fill="${frameColor}" />
+        ${screen.motor === 'solar' ? `<rect x="${x + w / 2 - 12}" y="${y - 6}" width="24" height="5" fill="#1E3A8A" />` : ''}
+        <g stroke="#111827" stroke-width="0.75" fill="none">
+          <path d="M${x} ${y + h + 12} H${x + w} M${x} ${y + h + 7} V${y + h + 17} M${x + w} ${y + h + 7} V${y + h + 17}" />
+          <path d="M${x + w + 14} ${y} V${y + h} M${x + w + 9} ${y} H${x + w + 19} M${x + w + 9} ${y + h} H${x + w + 19}" />
+        </g>
+        <g font-family="Helvetica, Arial, sans-serif" font-size="10" fill="#111827" text-anchor="middle">
+          <text x="${x + w / 2}" y="${y + h + 28}">${screen.width} mm</text>
+          <text x="${x + w + 28}" y="${y + h / 2}" transform="rotate(90 ${x + w + 28} ${y + h / 2})">${screen.height} mm</text>
+        </g>
+      </svg>
+    `;
+  },
+
+  /**
+   * Complete quote document.
+   * @param {object} quote - { number, date, validUntil, screens: [{ label, screen, price }], extras: [{ title, quantity, price }],
+   *   installation: { type, estimate }, volumeDiscount, total, vat: { rate, net, vat, gross }, shareUrl,
+   *   shop: { name, address, email } }
+   * @param {object} data - ScreenluxData
+   * @param {Function} formatPrice - cents → price label
+   * @returns {string} HTML document
+   */
+  render(quote, data, formatPrice) {
+    const t = window.ScreenluxTranslations || {};
+    const q = t.quote || {};
+    const summary = t.orderSummary || {};
+    const vatT = t.vat || {};
+    const shop = quote.shop || {};
+    const escape = (text) => {
+      const div = document.createElement('div');
+      div.textContent = text == null ? '' : String(text);
+      return div.innerHTML;
+    };
+    const date = (value) => value.toLocaleDateString(document.documentElement.lang || undefined);
+
+    const screens = quote.screens
+      .map(
+        (item) => `
+        <section class="screen">
+          <div class="screen__drawing">${this.getDrawing(item.screen, data)}</div>
+          <div class="screen__specs">
+            <h3>${escape(item.label)} <span class="price">${formatPrice(item.price)}</span></h3>
+            <table>
+              ${this.getScreenSpecs(item.screen, data)
+                .map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`)
+                .join('')}
+            </table>
+          </div>
+        </section>
+      `,
+      )
+      .join('');
+
+    const extras = quote.extras.length
+      ? `
+        <h2>${escape(q.extras || 'Accessories')}</h2>
+        <table class="lines">
+          ${quote.extras
+            .map(
+              (extra) =>
+                `<tr><td>${extra.quantity}× ${escape(extra.title)}</td><td class="price">${formatPrice(extra.price)}</td></tr>`,
+            )
+            .join('')}
+        </table>
+      `
+      : '';
+
+    const installation =
+      quote.installation.type === 'professional'
+        ? `<tr><td>${escape(summary.professionalInstallation || 'Professional installation')}<br><small>${escape(summary.installationNotice || '')}</small></td><td class="price">~ ${formatPrice(quote.installation.estimate)}</td></tr>`
+        : `<tr><td>${escape((t.installationDiy && t.installationDiy.title) || 'DIY installation')}</td><td class="price">—</td></tr>`;
+
+    return `<!doctype html>
+<html lang="${escape(document.documentElement.lang || 'en')}">
+<head>
+  <meta charset="utf-8">
+  <title>${escape(q.title || 'Quote')} ${escape(quote.number)}</title>
+  <style>
+    @page { margin: 16mm; }
+    body { font: 12px/1.45 Helvetica, Arial, sans-serif; color: #111827; margin: 0; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 2px solid #111827; padding-bottom: 12px; margin-bottom: 16px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 20px 0 8px; }
+    h3 { display: flex; justify-content: space-between; font-size: 13px; margin: 0 0 6px; }
+    .meta th { text-align: left; padding-right: 12px; font-weight: normal; color: #6B7280; }
+    .screen { display: flex; gap: 16px; padding: 12px 0; border-bottom: 1px solid #E5E7EB; break-inside: avoid; }
+    .screen__drawing { flex: 0 0 300px; }
+    .screen__specs { flex: 1; }
+    .screen__specs th { text-align: left; font-weight: normal; color: #6B7280; padding-right: 12px; }
+    table { border-collapse: collapse; }
+    .lines, .totals { width: 100%; }
+    .lines td, .totals td { padding: 4px 0; border-bottom: 1px solid #E5E7EB; vertical-align: top; }
+    .price { text-align: right; white-space: nowrap; }
+    .totals .grand td { font-weight: bold; font-size: 14px; border-bottom: 2px solid #111827; }
+    footer { margin-top: 24px; color: #6B7280; font-size: 11px; }
+    footer a { color: inherit; word-break: break-all; }
+  </style>
+</head>
+<body>
+  <header>
+    <div>
+      <h1>${escape(q.title || 'Quote')}</h1>
+      <table class="meta">
+        <tr><th>${escape(q.number || 'Quote no.')}</th><td>${escape(quote.number)}</td></tr>
+        <tr><th>${escape(q.date || 'Date')}</th><td>${date(quote.date)}</td></tr>
+        <tr><th>${escape(q.validUntil || 'Valid until')}</th><td>${date(quote.validUntil)}</td></tr>
+      </table>
+    </div>
+    <div class="price">
+      <strong>${escape(shop.name)}</strong><br>
+      ${escape(shop.address)}<br>
+      ${escape(shop.email)}
+    </div>
+  </header>
+
+  <h2>${escape(summary.zipScreens || 'ZIP screens')} (${quote.screens.length})</h2>
+  ${screens}
+  ${extras}
+
+  <h2>${escape(q.summary || 'Summary')}</h2>
+  <table class="totals">
+    ${installation}
+    ${
+      quote.volumeDiscount.amount > 0
+        ? `<tr><td>${escape((summary.volumeDiscount || 'Volume discount ([PERCENT]%)').replace('[PERCENT]', quote.volumeDiscount.percent))}</td><td class="price">− ${formatPrice(quote.volumeDiscount.amount)}</td></tr>`
+        : ''
+    }
+    <tr><td>${escape(vatT.netTotal || 'Net')}</td><td class="price">${formatPrice(quote.vat.net)}</td></tr>
+    <tr><td>${escape((vatT.vatAmount || 'VAT ([RATE]%)').replace('[RATE]', quote.vat.rate))}</td><td class="price">${formatPrice(quote.vat.vat)}</td></tr>
+    <tr class="grand"><td>${escape(summary.total || 'Total')}</td><td class="price">${formatPrice(quote.vat.gross)}</td></tr>
+  </table>
+
+  <footer>
+    <p>${escape((q.validity || 'This quote is valid until [DATE]. Prices may change after this date.').replace('[DATE]', date(quote.validUntil)))}</p>
+    ${quote.shareUrl ? `<p>${escape(q.reopen || 'Open this configuration online:')} <a href="${escape(quote.shareUrl)}">${escape(quote.shareUrl)}</a></p>` : ''}
+  </footer>
+</body>
+</html>`;
+  },
+
+  /**
+   * Opens the quote in a new window and starts printing (save as PDF from the dialog).
+   * Falls back to a hidden frame when popups are blocked.
+   * @param {string} html - document from render()
+   */
+  print(html) {
+    const popup = window.open('', '_blank');
+    if (popup) {
+      popup.document.open();
+      popup.document.write(html);
+      popup.document.close();
+      popup.focus();
+      // Some browsers don't fire load for written documents, so a timer backs it up; print only once
+      let printed = false;
+      const printOnce = () => {
+        if (printed || popup.closed) return;
+        printed = true;
+        popup.print();
+      };
+      popup.addEventListener('load', printOnce);
+      setTimeout(printOnce, 500);
+      return;
+    }
+
+    const frame = document.createElement('iframe');
+    frame.style.cssText = 'position:fixed; width:0; height:0; border:0; visibility:hidden;';
+    frame.srcdoc = html;
+    frame.onload = () => {
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 1000);
+    };
+    document.body.appendChild(frame);
+  },
+};